@@ -0,0 +1,53 @@
+// Collision benchmark: 150 balls over a few wiggly curves, stepped once with
+// each curve's segment grid (spatial.js) and once scanning every segment.
+// Both runs must end with the balls in exactly the same places.
+//
+//   node --experimental-detect-module bench/collisions.mjs
+//
+// (the flag lets Node 20 load src/, whose .js files are ES modules; newer
+// versions of Node work this out without it)
+import { parseEquationToFunction, sampleEquation } from '../src/equations.js';
+import { Ball, stepBalls, GRAVITY, BALL_RADIUS } from '../src/physics.js';
+import { SegmentGrid } from '../src/spatial.js';
+import { createRng, randRange } from '../src/utils.js';
+
+const BOUNDS = { xMin: -12, xMax: 12, yMin: -8, yMax: 8 };
+const BALLS = 150;
+const STEPS = 600; // 10 seconds of play
+const EQUATIONS = [
+  'y = 0.6sin(4x) + 0.2cos(9x) + 4',
+  'y = 0.8sin(3x) - 0.15x + 1',
+  'y = 0.4sin(7x) + 0.05x^2 - 3',
+  'y = 0.3cos(11x) - 0.2x - 6',
+];
+
+const curves = EQUATIONS.map(src => {
+  const parsed = parseEquationToFunction(src);
+  const points = sampleEquation(parsed, BOUNDS);
+  return { ...parsed, src, points, grid: new SegmentGrid(points) };
+});
+
+// Keep BALLS balls in play, dropping new ones along the top as others leave;
+// the same seed drops them in the same places in both runs
+function run(curves) {
+  const rng = createRng(42);
+  let balls = [];
+  const start = performance.now();
+  for (let i = 0; i < STEPS; i++) {
+    while (balls.length < BALLS) balls.push(new Ball(randRange(-11, 11, rng), BOUNDS.yMax - 0.5, BALL_RADIUS));
+    balls = stepBalls(balls, GRAVITY, BOUNDS, curves);
+  }
+  return { ms: performance.now() - start, balls };
+}
+
+const segments = curves.reduce((n, c) => n + c.points.length - 1, 0);
+console.log(`${EQUATIONS.length} curves, ${segments} segments, ${BALLS} balls, ${STEPS} steps`);
+
+const scan = run(curves.map(c => ({ ...c, grid: null })));
+const grid = run(curves);
+const same = JSON.stringify(scan.balls.map(b => [b.x, b.y])) === JSON.stringify(grid.balls.map(b => [b.x, b.y]));
+const perStep = (ms) => `${(ms / STEPS).toFixed(2)} ms/step`;
+console.log(`every segment: ${perStep(scan.ms)}`);
+console.log(`segment grid:  ${perStep(grid.ms)} (${(scan.ms / grid.ms).toFixed(1)}x faster)`);
+console.log(same ? 'same ball positions' : 'BALL POSITIONS DIFFER');
+if (!same) process.exitCode = 1;
@@ -0,0 +1,57 @@
+// Replay check: record a run whose board starts with a curve calling a
+// removed function, then play the replay back in a fresh game. Replays refer
+// to curves by their place in the list, so a curve the playback left out
+// would send every later event to the wrong curve. Both games must end with
+// the same curves and the balls in exactly the same places.
+//
+//   node --experimental-detect-module bench/replays.mjs
+//
+// (the flag lets Node 20 load src/, whose .js files are ES modules; newer
+// versions of Node work this out without it)
+import { Game } from '../src/game.js';
+import { normalizeLevel } from '../src/levels.js';
+import { parseReplay } from '../src/replay.js';
+
+const LEVEL = normalizeLevel({
+  name: 'Replay check',
+  bounds: { xMin: -12, xMax: 12, yMin: -8, yMax: 8 },
+  droppers: [{ x: -8 }],
+  stars: [{ x: 11, y: 7 }], // out of reach, so the run is never cleared
+});
+const canvas = { width: 900, height: 600, getContext: () => null }; // nothing is drawn
+
+function play(game, steps) {
+  for (let i = 0; i < steps; i++) game.step();
+}
+
+const recorded = new Game(canvas, null);
+recorded.loadLevel(LEVEL);
+recorded.submitEquation('g(x) = 0.3x - 4');
+const broken = recorded.submitEquation('y = g(x)');
+recorded.removeFunction('g');
+const hidden = recorded.submitEquation('y = -0.2x - 2');
+const removed = recorded.submitEquation('y = 0.1x - 5');
+recorded.retryLevel(); // the recording starts with the broken curve on the board
+play(recorded, 5);
+recorded.setCurveHidden(hidden.id, true);
+recorded.launchBurst(20);
+play(recorded, 40);
+recorded.submitEquation('g(x) = -0.4x - 3'); // the broken curve works again
+recorded.setCurveSurface(broken.id, 'rubber');
+play(recorded, 60);
+recorded.removeCurve(removed.id);
+play(recorded, 20);
+
+const replay = parseReplay(recorded.replayJSON());
+const watched = new Game(canvas, null);
+watched.watchReplay(replay);
+play(watched, replay.steps);
+
+const state = (game) => JSON.stringify({
+  curves: game.curves.map(c => [c.src, c.hidden, c.surface, c.error]),
+  balls: game.balls.map(b => [b.x, b.y]),
+});
+const same = state(recorded) === state(watched);
+console.log(`${replay.events.length} events over ${replay.steps} steps, ${recorded.balls.length} balls in play`);
+console.log(same ? 'same run' : 'RUNS DIFFER');
+if (!same) process.exitCode = 1;
@@ -0,0 +1,257 @@
+// Symbolic differentiation and light algebraic simplification of expression ASTs
+// Produces an exact derivative tree that can be compiled for the physics and
+// printed for students, replacing the old central-difference approximation.
+import { walk, format } from './expression.js';
+
+const num = (value) => ({ type: 'number', value });
+const neg = (arg) => ({ type: 'unary', op: '-', arg });
+const bin = (op, left, right) => ({ type: 'binary', op, left, right });
+const call = (name, ...args) => ({ type: 'call', name, args });
+const add = (a, b) => bin('+', a, b);
+const sub = (a, b) => bin('-', a, b);
+const mul = (a, b) => bin('*', a, b);
+const div = (a, b) => bin('/', a, b);
+const pow = (a, b) => bin('^', a, b);
+
+export function dependsOn(node, variable) {
+  let found = false;
+  walk(node, (n) => { if (n.type === 'symbol' && n.name === variable) found = true; });
+  return found;
+}
+
+// d(node)/d(variable), simplified
+export function differentiate(node, variable) {
+  return simplify(derive(node, variable));
+}
+
+function derive(node, v) {
+  if (!dependsOn(node, v)) return num(0);
+  switch (node.type) {
+    case 'symbol': return num(node.name === v ? 1 : 0);
+    case 'unary': return neg(derive(node.arg, v));
+    case 'binary': return deriveBinary(node, v);
+    case 'call': return deriveCall(node, v);
+    // Differentiate each piece; the conditions stay as they are
+    case 'piecewise': return {
+      ...node,
+      pieces: node.pieces.map(p => ({ cond: p.cond, value: derive(p.value, v) })),
+      otherwise: node.otherwise && derive(node.otherwise, v),
+    };
+  }
+  throw new Error(`Cannot differentiate ${node.type}`);
+}
+
+function deriveBinary({ op, left: u, right: w }, v) {
+  const du = derive(u, v);
+  const dw = derive(w, v);
+  switch (op) {
+    case '+': return add(du, dw);
+    case '-': return sub(du, dw);
+    case '*': return add(mul(du, w), mul(u, dw));
+    // u / c with constant c is just u' / c; the quotient rule would square c
+    case '/': return dependsOn(w, v) ? div(sub(mul(du, w), mul(u, dw)), pow(w, num(2))) : div(du, w);
+    case '^': return derivePower(u, w, du, dw, v);
+  }
+  throw new Error(`Cannot differentiate operator ${op}`);
+}
+
+function derivePower(u, w, du, dw, v) {
+  // u^n with constant n: power rule
+  if (!dependsOn(w, v)) return mul(mul(w, pow(u, sub(w, num(1)))), du);
+  // a^w with constant a: exponential rule
+  if (!dependsOn(u, v)) return mul(mul(pow(u, w), call('log', u)), dw);
+  // general case: u^w * (w' ln u + w u'/u)
+  return mul(pow(u, w), add(mul(dw, call('log', u)), div(mul(w, du), u)));
+}
+
+function deriveCall(node, v) {
+  const [u, w] = node.args;
+  const du = derive(u, v);
+  switch (node.name) {
+    case 'sin': return mul(call('cos', u), du);
+    case 'cos': return mul(neg(call('sin', u)), du);
+    case 'tan': return div(du, pow(call('cos', u), num(2)));
+    case 'asin': return div(du, call('sqrt', sub(num(1), pow(u, num(2)))));
+    case 'acos': return neg(div(du, call('sqrt', sub(num(1), pow(u, num(2))))));
+    case 'atan': return div(du, add(num(1), pow(u, num(2))));
+    case 'atan2': {
+      // atan2(a, b) = angle of (b, a): (b a' - a b') / (a^2 + b^2)
+      const dw = derive(w, v);
+      return div(sub(mul(w, du), mul(u, dw)), add(pow(u, num(2)), pow(w, num(2))));
+    }
+    case 'abs': return mul(call('sign', u), du);
+    case 'sqrt': return div(du, mul(num(2), call('sqrt', u)));
+    case 'pow': return derivePower(u, w, du, derive(w, v), v);
+    case 'log': return div(du, u);
+    case 'exp': return mul(call('exp', u), du);
+    case 'min':
+    case 'max': return deriveMinMax(node, v);
+    // Step functions are flat wherever they are defined
+    case 'floor':
+    case 'ceil':
+    case 'round':
+    case 'sign': return num(0);
+  }
+  throw new Error(`Cannot differentiate ${node.name}`);
+}
+
+// min(a, b) = (a + b - |a - b|) / 2 and max(a, b) = (a + b + |a - b|) / 2,
+// folded pairwise for more arguments
+function deriveMinMax(node, v) {
+  const s = node.name === 'min' ? -1 : 1;
+  let acc = node.args[0];
+  let dacc = derive(acc, v);
+  for (const arg of node.args.slice(1)) {
+    const darg = derive(arg, v);
+    const jump = mul(call('sign', sub(acc, arg)), sub(dacc, darg));
+    dacc = div(s < 0 ? sub(add(dacc, darg), jump) : add(add(dacc, darg), jump), num(2));
+    acc = call(node.name, acc, arg);
+  }
+  return dacc;
+}
+
+const isNum = (n, value) => n.type === 'number' && (value === undefined || n.value === value);
+const same = (a, b) => format(a) === format(b);
+
+// a / b when it has a short decimal form (1/4 -> 0.25 but not 1/3)
+function niceQuotient(a, b) {
+  const q = a / b;
+  return Number.isFinite(q) && Math.abs(q * 1e6 - Math.round(q * 1e6)) < 1e-9 ? q : null;
+}
+
+const gcd = (a, b) => (b ? gcd(b, a % b) : Math.abs(a));
+
+// Smallest power of ten (up to 10^6) that makes both numbers whole, or null
+function wholeScale(a, b) {
+  for (let scale = 1; scale <= 1e6; scale *= 10) {
+    if (Math.abs(a * scale - Math.round(a * scale)) < 1e-6 && Math.abs(b * scale - Math.round(b * scale)) < 1e-6) return scale;
+  }
+  return null;
+}
+
+// The negation of a term that leads with a negative number (-3, -3u, -3/u),
+// so "u + -3v" can print as "u - 3v"; null for any other term
+function negatedTerm(n) {
+  if (isNum(n) && n.value < 0) return num(-n.value);
+  if (n.type === 'binary' && (n.op === '*' || n.op === '/') && isNum(n.left) && n.left.value < 0) {
+    return simplifyBinary(n.op, num(-n.left.value), n.right);
+  }
+  return null;
+}
+
+// Split c * u into [c, u]; a bare number is [c, null]
+function splitCoefficient(n) {
+  if (isNum(n)) return [n.value, null];
+  if (n.type === 'binary' && n.op === '*' && isNum(n.left)) return [n.left.value, n.right];
+  return [1, n];
+}
+
+// Bottom-up constant folding and identity removal (0 + u, 1 * u, u^1, --u, ...)
+export function simplify(node) {
+  switch (node.type) {
+    case 'unary': {
+      const arg = simplify(node.arg);
+      if (node.op !== '-') return { ...node, arg };
+      if (isNum(arg)) return num(-arg.value);
+      if (arg.type === 'unary' && arg.op === '-') return arg.arg;
+      // -(c * u) -> (-c) * u and -(c / u) -> (-c) / u
+      if (arg.type === 'binary' && (arg.op === '*' || arg.op === '/') && isNum(arg.left)) {
+        return bin(arg.op, num(-arg.left.value), arg.right);
+      }
+      return neg(arg);
+    }
+    case 'binary': return simplifyBinary(node.op, simplify(node.left), simplify(node.right));
+    case 'call': {
+      const args = node.args.map(simplify);
+      if (node.name === 'log' && args[0].type === 'symbol' && args[0].name === 'E') return num(1);
+      return { ...node, args };
+    }
+    case 'compare': return { ...node, operands: node.operands.map(simplify) };
+    case 'logical': return { ...node, left: simplify(node.left), right: simplify(node.right) };
+    case 'piecewise': {
+      const pieces = node.pieces.map(p => ({ cond: simplify(p.cond), value: simplify(p.value) }));
+      const otherwise = node.otherwise && simplify(node.otherwise);
+      // {x < 0: 0, 0} is just 0
+      if (otherwise && pieces.every(p => same(p.value, otherwise))) return otherwise;
+      return { ...node, pieces, otherwise };
+    }
+    default: return node;
+  }
+}
+
+function simplifyBinary(op, l, r) {
+  if (isNum(l) && isNum(r)) {
+    const folded = { '+': l.value + r.value, '-': l.value - r.value, '*': l.value * r.value,
+      '/': l.value / r.value, '^': Math.pow(l.value, r.value) }[op];
+    // Keep exact-looking results only; 1/3 stays a fraction
+    if (Number.isFinite(folded) && (op !== '/' || niceQuotient(l.value, r.value) !== null)) return num(folded);
+  }
+  switch (op) {
+    case '+':
+      if (isNum(l, 0)) return r;
+      if (isNum(r, 0)) return l;
+      if (negatedTerm(r)) return sub(l, negatedTerm(r));
+      if (r.type === 'unary' && r.op === '-') return sub(l, r.arg);
+      return add(l, r);
+    case '-':
+      if (isNum(r, 0)) return l;
+      if (isNum(l, 0)) return simplify(neg(r));
+      if (negatedTerm(r)) return add(l, negatedTerm(r));
+      if (r.type === 'unary' && r.op === '-') return add(l, r.arg);
+      if (same(l, r)) return num(0);
+      return sub(l, r);
+    case '*':
+      if (isNum(l, 0) || isNum(r, 0)) return num(0);
+      if (isNum(l, 1)) return r;
+      if (isNum(r, 1)) return l;
+      if (isNum(l, -1)) return simplify(neg(r));
+      if (isNum(r, -1)) return simplify(neg(l));
+      // Move constants to the front and merge them: u * 3 -> 3u, 2 * (3u) -> 6u
+      if (isNum(r) && !isNum(l)) return simplifyBinary('*', r, l);
+      if (isNum(l) && r.type === 'binary' && r.op === '*' && isNum(r.left)) {
+        return simplifyBinary('*', num(l.value * r.left.value), r.right);
+      }
+      if (l.type === 'unary' && l.op === '-') return simplify(neg(mul(l.arg, r)));
+      if (r.type === 'unary' && r.op === '-') return simplify(neg(mul(l, r.arg)));
+      if (r.type === 'binary' && r.op === '/' && negatedTerm(r)) return simplify(neg(mul(l, negatedTerm(r))));
+      // Lead with the factor that carries a coefficient: u * 2x -> 2x * u
+      if (r.type === 'binary' && r.op === '*' && isNum(r.left)) return mul(r, l);
+      return mul(l, r);
+    case '/':
+      return simplifyQuotient(l, r);
+    case '^':
+      if (isNum(r, 0)) return num(1);
+      if (isNum(r, 1)) return l;
+      return pow(l, r);
+  }
+  return bin(op, l, r);
+}
+
+function simplifyQuotient(l, r) {
+  if (isNum(l, 0)) return num(0);
+  if (isNum(r, 1)) return l;
+  if (same(l, r)) return num(1);
+  // (a / b) / c -> a / (b c) and a / (b / c) -> a c / b
+  if (l.type === 'binary' && l.op === '/') return simplifyQuotient(l.left, simplifyBinary('*', l.right, r));
+  if (r.type === 'binary' && r.op === '/') return simplifyQuotient(simplifyBinary('*', l, r.right), r.left);
+  const [c1, a] = splitCoefficient(l);
+  const [c2, b] = splitCoefficient(r);
+  if (c1 === 1 && c2 === 1) return div(l, r);
+  const q = niceQuotient(c1, c2);
+  if (q !== null) {
+    if (!a) return b ? div(num(q), b) : num(q);
+    return simplifyBinary('*', num(q), b ? div(a, b) : a);
+  }
+  // Reduce ratios as whole numbers, any sign on top: 3/9 -> 1/3,
+  // 0.75/0.5625 -> 4/3, 1/-3 -> -1/3
+  const scale = wholeScale(c1, c2);
+  if (scale !== null && c2 !== 0) {
+    const n1 = Math.round(c1 * scale);
+    const n2 = Math.round(c2 * scale);
+    const g = gcd(n1, n2) * Math.sign(n2);
+    if (g !== 1 || scale > 1) {
+      return simplifyQuotient(simplifyBinary('*', num(n1 / g), a || num(1)), simplifyBinary('*', num(n2 / g), b || num(1)));
+    }
+  }
+  return div(l, r);
+}
@@ -0,0 +1,245 @@
+// Level editor: lay out stars and droppers on the board, lock in given curves,
+// set the level's goals, playtest, and save/load the JSON format from levels.js
+// - Stars tool: click to add a star
+// - Droppers tool: click to add a dropper
+// - Erase tool: click a star or dropper to remove it
+// - with any tool, drag a star or dropper to move it
+import { FUNCTIONS } from './expression.js';
+import { normalizeLevel, parseLevel, LevelError } from './levels.js';
+
+const round = (v) => Math.round(v * 100) / 100; // keeps exported JSON readable
+
+export class LevelEditor {
+  // els: { panel, tool, name, maxEquations, allowed, hint, movable, message,
+  //        playBtn, boundsBtn, exportBtn, importInput }; any may be missing
+  constructor(game, els = {}) {
+    this.game = game;
+    this.els = els;
+    this.active = false;
+    this.tool = 'star'; // 'star' | 'dropper' | 'erase'
+    this.drag = null; // { kind: 'star' | 'dropper', item } being moved
+    this.goals = { name: 'My level', maxEquations: null, allowedFunctions: null, hint: '', movable: false };
+
+    els.tool?.addEventListener('change', () => { this.tool = els.tool.value; });
+    for (const key of ['name', 'maxEquations', 'allowed', 'hint', 'movable']) {
+      els[key]?.addEventListener('change', () => this.readGoals());
+    }
+    els.playBtn?.addEventListener('click', () => this.playtest());
+    els.boundsBtn?.addEventListener('click', () => this.useViewAsBounds());
+    els.exportBtn?.addEventListener('click', () => this.exportFile());
+    els.importInput?.addEventListener('change', () => {
+      const file = els.importInput.files[0];
+      els.importInput.value = ''; // choosing the same file again should reload it
+      if (file) file.text().then((text) => this.importText(text));
+    });
+  }
+
+  // Take over the current board: whatever is on it becomes the draft level,
+  // keeping the goals of an authored level being played
+  open() {
+    this.active = true;
+    if (this.els.panel) this.els.panel.hidden = false;
+    const { levelData, droppers } = this.game;
+    if (levelData) this.goals = goalsOf(levelData);
+    else this.goals.movable = droppers.some(d => d.movable);
+    this.writeGoals();
+    this.readGoals();
+  }
+
+  close() {
+    this.active = false;
+    this.drag = null;
+    if (this.els.panel) this.els.panel.hidden = true;
+  }
+
+  // The board as a level in the levels.js format. Not validated: a draft may
+  // have no stars yet.
+  snapshot() {
+    const { game, goals } = this;
+    const level = {
+      name: goals.name,
+      bounds: { ...game.levelBounds },
+      droppers: game.droppers.map(d => ({ x: round(d.x), y: round(game.dropperY(d)), movable: goals.movable })),
+      stars: game.stars.map(s => ({ x: round(s.x), y: round(s.y) })),
+      allowedFunctions: goals.allowedFunctions,
+      maxEquations: goals.maxEquations,
+      givenCurves: game.curves.filter(c => c.locked).map(c => c.src),
+    };
+    if (goals.hint) level.hint = goals.hint;
+    return level;
+  }
+
+  // Keep the game's copy of the level current so Reset restores the draft
+  sync() {
+    if (!this.active) return;
+    this.game.levelData = this.snapshot();
+    this.game.updateStatus();
+  }
+
+  // Goals form -> this.goals and the rules the game enforces while testing
+  readGoals() {
+    const { els, goals, game } = this;
+    this.setMessage('');
+    if (els.name) goals.name = els.name.value.trim() || 'Untitled level';
+    if (els.hint) goals.hint = els.hint.value.trim();
+    if (els.movable) goals.movable = els.movable.checked;
+    if (els.maxEquations) {
+      const n = parseInt(els.maxEquations.value, 10);
+      goals.maxEquations = n >= 1 ? n : null;
+    }
+    if (els.allowed) {
+      const text = els.allowed.value.trim();
+      // Blank allows everything; "none" allows no functions at all
+      const names = text === '' ? null : text === 'none' ? [] : text.split(/[\s,]+/).filter(Boolean);
+      const unknown = names?.find(fn => !(fn in FUNCTIONS));
+      if (unknown) this.setMessage(`Unknown function ${unknown}`);
+      else goals.allowedFunctions = names;
+    }
+    game.maxEquations = goals.maxEquations;
+    game.scope.allowedFunctions = goals.allowedFunctions ? new Set(goals.allowedFunctions) : null;
+    for (const d of game.droppers) d.movable = goals.movable;
+    this.sync();
+  }
+
+  // this.goals -> goals form
+  writeGoals() {
+    const { els, goals } = this;
+    if (els.name) els.name.value = goals.name;
+    if (els.hint) els.hint.value = goals.hint;
+    if (els.movable) els.movable.checked = goals.movable;
+    if (els.maxEquations) els.maxEquations.value = goals.maxEquations ?? '';
+    if (els.allowed) {
+      const fns = goals.allowedFunctions;
+      els.allowed.value = fns === null ? '' : fns.length ? fns.join(', ') : 'none';
+    }
+  }
+
+  setMessage(text) {
+    if (this.els.message) this.els.message.textContent = text;
+  }
+
+  // Star or dropper within reach (world units) of (x, y)
+  itemAt(x, y, reach) {
+    const { game } = this;
+    const star = game.stars.find(s => Math.hypot(s.x - x, s.y - y) <= reach);
+    if (star) return { kind: 'star', item: star };
+    const dropper = game.droppers.find(d => Math.hypot(d.x - x, game.dropperY(d) - y) <= reach);
+    if (dropper) return { kind: 'dropper', item: dropper };
+    return null;
+  }
+
+  // Pointer pressed at world (x, y). Returns true when it grabbed something,
+  // so the press drags that item instead of panning.
+  pointerDown(x, y, reach) {
+    if (this.tool === 'erase') return false;
+    this.drag = this.itemAt(x, y, reach);
+    return this.drag !== null;
+  }
+
+  pointerMove(x, y) {
+    if (!this.drag) return;
+    const { xMin, xMax, yMin, yMax } = this.game.levelBounds;
+    const { item } = this.drag;
+    item.x = Math.max(xMin, Math.min(xMax, x));
+    item.y = Math.max(yMin, Math.min(yMax, y));
+  }
+
+  pointerUp() {
+    if (!this.drag) return;
+    this.drag = null;
+    this.sync();
+  }
+
+  // Click at world (x, y) with the current tool. Returns true when handled.
+  click(x, y, reach) {
+    const { game } = this;
+    if (this.tool === 'erase') {
+      const hit = this.itemAt(x, y, reach);
+      if (!hit) return false;
+      if (hit.kind === 'star') {
+        game.stars = game.stars.filter(s => s !== hit.item);
+      } else if (game.droppers.length > 1) {
+        game.droppers = game.droppers.filter(d => d !== hit.item);
+      } else {
+        this.setMessage('A level needs at least one dropper');
+        return true;
+      }
+    } else if (this.tool === 'star') {
+      game.stars.push({ x, y, collected: false });
+    } else {
+      game.droppers.push({ x, y, movable: this.goals.movable });
+    }
+    this.setMessage('');
+    this.sync();
+    return true;
+  }
+
+  // Drop a burst from the draft as it stands, with all stars back in play
+  playtest() {
+    const { game } = this;
+    for (const s of game.stars) s.collected = false;
+    game.balls = [];
+    game.launchBurst();
+  }
+
+  // Make the visible region the level's bounds
+  useViewAsBounds() {
+    const { game } = this;
+    const { world } = game;
+    game.levelBounds = { xMin: round(world.xMin), xMax: round(world.xMax), yMin: round(world.yMin), yMax: round(world.yMax) };
+    game.viewChanged();
+    this.sync();
+  }
+
+  // Validated level JSON, or null (with the reason shown) if the draft
+  // isn't a playable level yet
+  levelJSON() {
+    try {
+      return JSON.stringify(normalizeLevel(this.snapshot()), null, 2);
+    } catch (e) {
+      if (!(e instanceof LevelError)) throw e;
+      this.setMessage(e.message);
+      return null;
+    }
+  }
+
+  exportFile() {
+    const json = this.levelJSON();
+    if (json === null) return;
+    const blob = new Blob([json + '\n'], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `${this.goals.name.toLowerCase().replace(/[^a-z0-9]+/g, '-') || 'level'}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+    this.setMessage(`Saved ${link.download}`);
+  }
+
+  // Load level JSON onto the board to keep editing it
+  importText(text) {
+    let level;
+    try {
+      level = parseLevel(text);
+      this.game.loadLevel(level);
+    } catch (e) {
+      if (!(e instanceof LevelError)) throw e;
+      this.setMessage(e.message);
+      return false;
+    }
+    this.goals = goalsOf(level);
+    this.writeGoals();
+    this.readGoals();
+    this.setMessage(`Loaded ${level.name}`);
+    return true;
+  }
+}
+
+function goalsOf(level) {
+  return {
+    name: level.name,
+    maxEquations: level.maxEquations,
+    allowedFunctions: level.allowedFunctions,
+    hint: level.hint ?? '',
+    movable: level.droppers.some(d => d.movable),
+  };
+}
@@ -1,59 +1,231 @@
 // Equation parsing and sampling utilities
-// Converts user input like "y = 0.5x + 2" or "y = -0.1x^2 + 3x - 4"
-// into a function f(x) and its derivative f'(x) for physics reflections.
-
-const ALLOWED_IDENTIFIERS = new Set([
-  'x','y',
-  // Math constants
-  'PI', 'E',
-  // Math functions
-  'sin','cos','tan','asin','acos','atan','atan2',
-  'abs','sqrt','pow','log','exp','min','max',
-  'floor','ceil','round','sign',
-]);
-
-function sanitizeExpression(input) {
-  let expr = input.trim();
-  // Remove leading 'y =' or 'x =' if present
-  expr = expr.replace(/^[yx]\s*=\s*/i, '');
-  // replace caret with exponent operator
-  expr = expr.replace(/\^/g, '**');
-  // Replace ln( with log( base e
-  expr = expr.replace(/\bln\s*\(/gi, 'log(');
-  // Implicit multiplication fixes:
-  // 2x -> 2*x, 2y -> 2*y
-  expr = expr.replace(/(\d)\s*([xy])\b/gi, '$1*$2');
-  // x2 -> x*2, y2 -> y*2
-  expr = expr.replace(/\b([xy])\s*(\d)/gi, '$1*$2');
-  // x( -> x*( , y( -> y*(
-  expr = expr.replace(/\b([xy])\s*\(/gi, '$1*(');
-  // )x -> )*x, )y -> )*y
-  expr = expr.replace(/\)\s*([xy])\b/gi, ')*$1');
-  // )( -> )*(
-  expr = expr.replace(/\)\s*\(/g, ')*(');
-  return expr;
+// Converts user input like "y = 0.5x + 2", "y = -0.1x^2 + 3x - 4",
+// "(3cos(t), 2sin(t)) {0 < t < PI}", "r = 2 + sin(3theta)", "x^2 + y^2 = 9" or
+// the piecewise "y = { x < 0: -x, x >= 0: x^2 }" into functions and their exact derivatives for physics reflections.
+// Declarations like "a = 0.5" create slider parameters and "f(x) = x^2 - 3"
+// defines a helper function; both are usable in later curves.
+import { ParseError, tokenize, parseStatement, compile, format, walk, isBuiltin, CONSTANTS } from './expression.js';
+import { differentiate, dependsOn, simplify } from './derivative.js';
+
+const VARIABLES = ['x', 'y', 't', 'r', 'theta'];
+
+// Player-declared names shared by every equation. Compiled equations read
+// `values` live, so moving a slider only needs the curves re-sampled.
+// Function definitions are inlined when an equation is parsed, so changing
+// one means re-parsing the equations that use it.
+export class Scope {
+  constructor() {
+    this.params = new Map(); // name -> { value, min, max, step }
+    this.values = Object.create(null); // name -> current value
+    this.functions = new Map(); // name -> { params, body, expr, deps, src, error }
+    this.allowedFunctions = null; // Set of built-in functions the current level permits, or null for all
+  }
+
+  has(name) { return this.params.has(name); }
+
+  hasFunction(name) { return this.functions.has(name); }
+
+  setParam(name, { value, min, max, step }) {
+    this.params.set(name, { value, min, max, step });
+    this.values[name] = value;
+  }
+
+  setValue(name, value) {
+    const param = this.params.get(name);
+    if (!param) return;
+    param.value = value;
+    this.values[name] = value;
+  }
+
+  deleteParam(name) {
+    this.params.delete(name);
+    delete this.values[name];
+  }
+
+  setFunction(name, { params, body, expr, deps, src, error = null }) {
+    this.functions.set(name, { params, body, expr, deps, src, error });
+  }
+
+  deleteFunction(name) {
+    this.functions.delete(name);
+  }
+
+  // Parameter count of a defined function, or null; used by the parser
+  arityOf(name) {
+    const fn = this.functions.get(name);
+    return fn ? fn.params.length : null;
+  }
+}
+
+const EMPTY_SCOPE = new Scope();
+
+// Reject identifiers that are unknown or not allowed in this part of the equation
+function checkSymbols(node, allowed, where, scope) {
+  walk(node, (n) => {
+    if (n.type !== 'symbol' || isBuiltin(n.name) || allowed.includes(n.name) || scope.has(n.name)) return;
+    let msg = `Unknown identifier: ${n.name}`;
+    if (VARIABLES.includes(n.name)) msg = `${n.name} can't be used ${where}`;
+    else if (n.applied) msg = `${n.name} is not defined; define it first, e.g. ${n.name}(x) = x^2`;
+    throw new ParseError(msg, n.start, n.end);
+  });
+}
+
+// Reject built-in functions the current level doesn't allow
+function checkAllowed(node, scope) {
+  if (!scope.allowedFunctions) return;
+  walk(node, (n) => {
+    if (n.type === 'call' && !n.user && !scope.allowedFunctions.has(n.name)) {
+      throw new ParseError(`${n.name} is not available in this level`, n.start, n.end);
+    }
+  });
+}
+
+// Points like (a, b) are only meaningful as a whole parametric equation
+function checkNoTuples(node) {
+  walk(node, (n) => {
+    if (n.type === 'tuple') throw new ParseError('A point (a, b) must be the whole equation', n.start, n.end);
+  });
+}
+
+// cond(x, y, t) -> boolean; t is the curve parameter (t or theta) if it has one
+function buildCondition(node, scope, allowed = ['x', 'y'], param = 't') {
+  checkSymbols(node, allowed, 'in a condition', scope);
+  checkNoTuples(node);
+  const test = compile(node, scope.values);
+  const vars = { x: 0, y: 0, [param]: 0 };
+  return (x, y, t) => {
+    vars.x = x; vars.y = y; vars[param] = t;
+    return !!test(vars);
+  };
+}
+
+// True when the node only uses numbers, constants and slider parameters
+function isConstant(node, scope) {
+  let constant = true;
+  walk(node, (n) => { if (n.type === 'symbol' && !(n.name in CONSTANTS) && !scope.has(n.name)) constant = false; });
+  return constant;
+}
+
+// Pull bounds such as {0 < t < 2PI} for `variable` out of a condition.
+// Returns { min, max, rest } where rest holds any clauses that are not plain
+// bounds (they still filter points) and missing bounds use the defaults.
+function extractRange(node, variable, defMin, defMax, scope) {
+  let min = defMin;
+  let max = defMax;
+  const clauses = [];
+  const flatten = (n) => {
+    if (n.type === 'logical' && n.op === '&&') { flatten(n.left); flatten(n.right); } else clauses.push(n);
+  };
+  if (node) flatten(node);
+
+  const rest = [];
+  for (const clause of clauses) {
+    if (clause.type !== 'compare') { rest.push(clause); continue; }
+    const bounds = [];
+    let plain = true;
+    clause.ops.forEach((op, i) => {
+      const a = clause.operands[i];
+      const b = clause.operands[i + 1];
+      const aVar = a.type === 'symbol' && a.name === variable;
+      const bVar = b.type === 'symbol' && b.name === variable;
+      if (bVar && isConstant(a, scope) && op[0] === '<') bounds.push(['min', a]);
+      else if (bVar && isConstant(a, scope) && op[0] === '>') bounds.push(['max', a]);
+      else if (aVar && isConstant(b, scope) && op[0] === '<') bounds.push(['max', b]);
+      else if (aVar && isConstant(b, scope) && op[0] === '>') bounds.push(['min', b]);
+      else plain = false;
+    });
+    if (!plain) { rest.push(clause); continue; }
+    for (const [side, bound] of bounds) {
+      const v = compile(bound, scope.values)({});
+      if (side === 'min') min = v; else max = v;
+    }
+  }
+
+  if (!(Number.isFinite(min) && Number.isFinite(max) && min < max)) {
+    throw new ParseError(`The range for ${variable} must go from a smaller to a larger number`, node.start, node.end);
+  }
+  const restNode = rest.reduce((acc, c) => (acc ? { type: 'logical', op: '&&', left: acc, right: c } : c), null);
+  return { min, max, rest: restNode };
 }
 
-function validateCondition(expr) {
-  // Allow comparisons and logical ops too
-  const invalid = /[^0-9+\-*/^()\. ,a-zA-Z_<>!=&|]/.test(expr);
-  if (invalid) throw new Error('Invalid characters in condition');
-  const idRegex = /[A-Za-z_][A-Za-z0-9_]*/g;
-  const found = expr.match(idRegex) || [];
-  for (const id of found) {
-    if (!ALLOWED_IDENTIFIERS.has(id)) {
-      throw new Error(`Unknown identifier in condition: ${id}`);
+// Compile an expression of a single variable into a plain (v) => number function
+function buildFunction(node, variable, scope) {
+  const fn = compile(node, scope.values);
+  const vars = { [variable]: 0 };
+  return (v) => {
+    vars[variable] = v;
+    return fn(vars);
+  };
+}
+
+// Compile an expression of x and y into a plain (x, y) => number function
+function buildFunction2(node, scope) {
+  const fn = compile(node, scope.values);
+  const vars = { x: 0, y: 0 };
+  return (x, y) => {
+    vars.x = x; vars.y = y;
+    return fn(vars);
+  };
+}
+
+// For equations with piecewise parts, a (v) => key function naming the active
+// piece of each one; sampling splits the range wherever the key changes.
+// Returns null when there is nothing piecewise.
+function buildPieceKey(nodes, variable, scope) {
+  const selectors = [];
+  for (const node of nodes) {
+    walk(node, (n) => {
+      if (n.type !== 'piecewise') return;
+      const conds = n.pieces.map(p => buildFunction(p.cond, variable, scope));
+      selectors.push((v) => conds.findIndex(c => c(v)));
+    });
+  }
+  if (!selectors.length) return null;
+  return (v) => selectors.map(s => s(v)).join(',');
+}
+
+// Split [lo, hi] into intervals over which `key` is constant. Boundaries are
+// found by bisection, so a piece narrower than (hi - lo) / steps can be missed.
+function pieceIntervals(key, lo, hi, steps = 256) {
+  const intervals = [];
+  let start = lo;
+  let prev = lo;
+  let prevKey = key(lo);
+  for (let i = 1; i <= steps; i++) {
+    const v = i === steps ? hi : lo + (hi - lo) * (i / steps);
+    const k = key(v);
+    if (k !== prevKey) {
+      let a = prev, b = v;
+      for (let j = 0; j < 60 && b - a > 1e-12 * (1 + Math.abs(a)); j++) {
+        const m = 0.5 * (a + b);
+        if (key(m) === prevKey) a = m; else b = m;
+      }
+      intervals.push([start, a]);
+      start = b;
+      prevKey = k;
     }
+    prev = v;
   }
+  intervals.push([start, hi]);
+  return intervals;
 }
 
-function extractCondition(raw) {
-  // Supports trailing { condition } at the end
-  const m = raw.match(/\{([^}]*)\}\s*$/);
-  if (!m) return { base: raw, condSrc: null };
-  const condSrc = m[1].trim();
-  const base = raw.slice(0, m.index).trim();
-  return { base, condSrc };
+// Sample a piecewise equation one piece at a time, so a jump between pieces
+// becomes a clean break instead of a steep connecting line. Neighbouring
+// pieces that meet are joined into one polyline.
+function samplePieces(key, lo, hi, sample) {
+  if (!key) return sample(lo, hi);
+  const JOIN_TOL = 1e-6;
+  const out = [];
+  for (const [a, b] of pieceIntervals(key, lo, hi)) {
+    const pts = sample(a, b);
+    const last = out[out.length - 1];
+    const first = pts[0];
+    if (last && first && Math.hypot(first.x - last.x, first.y - last.y) < JOIN_TOL) pts.shift();
+    else if (last) out.push(null);
+    out.push(...pts);
+  }
+  return out;
 }
 
 // Sample for x = g(y), producing polyline points {x:g(y), y}
@@ -134,104 +306,323 @@ export function sampleCurveY(g, yMin, yMax, step = 0.1, cond = null) {
   return out;
 }
 
-function validateExpression(expr) {
-  // Very basic validation: allowed chars and identifiers
-  // Allow numbers, operators, parentheses, dots, commas, spaces, and letters for allowed functions
-  const invalid = /[^0-9+\-*/^()\. ,a-zA-Z_]/.test(expr);
-  if (invalid) throw new Error('Invalid characters in expression');
-
-  // Tokenize identifiers and ensure they are allowed or numbers/operators
-  const idRegex = /[A-Za-z_][A-Za-z0-9_]*/g;
-  const found = expr.match(idRegex) || [];
-  for (const id of found) {
-    if (!ALLOWED_IDENTIFIERS.has(id)) {
-      throw new Error(`Unknown identifier: ${id}`);
-    }
+const isSymbol = (node, name) => node.type === 'symbol' && node.name === name;
+
+// Replace calls to player-defined functions with their bodies, arguments
+// substituted for parameters. `stack` holds the definitions being expanded so
+// a definition that reaches itself is reported instead of recursing forever.
+// Problems inside a definition are reported at the call in the input, since
+// that is the only text the player can see. Names reached are added to `used`.
+function expandCalls(node, scope, used, stack = [], site = null) {
+  if (!node) return node;
+  const expand = (n) => expandCalls(n, scope, used, stack, site);
+  switch (node.type) {
+    case 'unary': return { ...node, arg: expand(node.arg) };
+    case 'binary':
+    case 'logical': return { ...node, left: expand(node.left), right: expand(node.right) };
+    case 'compare': return { ...node, operands: node.operands.map(expand) };
+    case 'tuple': return { ...node, items: node.items.map(expand) };
+    case 'piecewise': return {
+      ...node,
+      pieces: node.pieces.map(p => ({ cond: expand(p.cond), value: expand(p.value) })),
+      otherwise: expand(node.otherwise),
+    };
+    case 'call': break;
+    default: return node;
   }
+  const args = node.args.map(expand);
+  if (!node.user) return { ...node, args };
+
+  const at = site || node;
+  const def = scope.functions.get(node.name);
+  if (stack.includes(node.name)) {
+    const cycle = [...stack.slice(stack.indexOf(node.name)), node.name].join(' → ');
+    throw new ParseError(`${node.name} refers back to itself: ${cycle}`, at.start, at.end);
+  }
+  if (!def) {
+    const owner = stack.length ? ` (used by ${stack[stack.length - 1]})` : '';
+    throw new ParseError(`${node.name} is not defined${owner}`, at.start, at.end);
+  }
+  if (def.params.length !== args.length) {
+    const n = def.params.length;
+    throw new ParseError(`${node.name} takes ${n} argument${n === 1 ? '' : 's'}`, at.start, at.end);
+  }
+  used.add(node.name);
+  const body = expandCalls(def.body, scope, used, [...stack, node.name], at);
+  return substitute(body, def.params, args, at);
 }
 
-function buildFunction(expr) {
-  // Build f(x) with Math in scope
-  // We pass Math as a param to restrict access
-  try {
-    const f = new Function(
-      'x',
-      'Math',
-      `"use strict";
-       const { PI, E, sin, cos, tan, asin, acos, atan, atan2, abs, sqrt, pow, log, exp, min, max, floor, ceil, round, sign } = Math;
-       return (${expr});`
-    );
-    return (x) => f(x, Math);
-  } catch (e) {
-    throw new Error('Failed to parse expression');
+// Copy `node` with each parameter symbol replaced by its argument. Arguments
+// are not substituted into again; everything else takes the call's position.
+function substitute(node, params, args, at) {
+  if (node.type === 'symbol' && params.includes(node.name)) return args[params.indexOf(node.name)];
+  const sub = (n) => substitute(n, params, args, at);
+  const copy = { ...node, start: at.start, end: at.end };
+  switch (node.type) {
+    case 'unary': copy.arg = sub(node.arg); break;
+    case 'binary':
+    case 'logical': copy.left = sub(node.left); copy.right = sub(node.right); break;
+    case 'call': copy.args = node.args.map(sub); break;
+    case 'compare': copy.operands = node.operands.map(sub); break;
+    case 'tuple': copy.items = node.items.map(sub); break;
+    case 'piecewise':
+      copy.pieces = node.pieces.map(p => ({ cond: sub(p.cond), value: sub(p.value) }));
+      copy.otherwise = node.otherwise && sub(node.otherwise);
+      break;
   }
+  return copy;
 }
 
-function buildDerivative(expr) {
-  // Numerical derivative using central difference
-  const f = buildFunction(expr);
-  const h = 1e-4;
-  return (x) => (f(x + h) - f(x - h)) / (2 * h);
+// Slider parameters and defined functions an expanded equation relies on
+function collectDeps(nodes, used, scope) {
+  const deps = new Set(used);
+  for (const node of nodes) {
+    walk(node, (n) => { if (n.type === 'symbol' && scope.has(n.name)) deps.add(n.name); });
+  }
+  return deps;
 }
 
-// Build function for x = g(y)
-function buildFunctionForY(expr) {
-  try {
-    const g = new Function(
-      'y',
-      'Math',
-      `"use strict";
-       const { PI, E, sin, cos, tan, asin, acos, atan, atan2, abs, sqrt, pow, log, exp, min, max, floor, ceil, round, sign } = Math;
-       return (${expr});`
-    );
-    return (y) => g(y, Math);
-  } catch (e) {
-    throw new Error('Failed to parse expression for x as a function of y');
+// Parse "y = f(x)", "x = g(y)", "(x(t), y(t))", "r = f(theta)", an implicit
+// relation "F(x, y) = G(x, y)" or an inequality region such as "y < sin(x)",
+// optionally followed by a { condition }. "a = 0.5" declares a slider
+// parameter and "f(x) = ..." defines a function instead. Names from `scope`
+// may be used anywhere; the result's `deps` lists the ones this equation
+// reads, including those reached through functions. Throws ParseError carrying
+// the character range of the offending token.
+export function parseEquationToFunction(input, scope = EMPTY_SCOPE) {
+  const isKnown = (name) => isBuiltin(name) || VARIABLES.includes(name) || scope.has(name) || scope.hasFunction(name);
+  const decl = /^\s*([A-Za-z_][A-Za-z0-9_]*)\s*=/.exec(input);
+  if (decl && declaresParam(decl[1], scope, isKnown)) return parseParam(input, decl[1], scope);
+  const def = /^\s*([A-Za-z_][A-Za-z0-9_]*)\s*\(\s*([A-Za-z_][A-Za-z0-9_]*(?:\s*,\s*[A-Za-z_][A-Za-z0-9_]*)*)\s*\)\s*=/.exec(input);
+  if (def && !isBuiltin(def[1]) && !VARIABLES.includes(def[1])) {
+    return parseDefinition(input, def[1], def[2].split(',').map(p => p.trim()), scope);
   }
+
+  const statement = parseStatement(input, isKnown, (name) => scope.arityOf(name));
+  const used = new Set();
+  const [lhs, rhs, condNode] = [statement.lhs, statement.rhs, statement.cond].map(n => expandCalls(n, scope, used));
+  for (const node of [lhs, rhs, condNode]) checkAllowed(node, scope);
+  const { op } = statement;
+  const parsed = op && op !== '='
+    ? parseRegion(lhs, op, rhs, condNode, scope)
+    : parseRelation(lhs, op, rhs, condNode, scope);
+  return { ...parsed, deps: collectDeps([lhs, rhs, condNode], used, scope) };
 }
 
-function buildDerivativeForY(expr) {
-  const g = buildFunctionForY(expr);
-  const h = 1e-4;
-  return (y) => (g(y + h) - g(y - h)) / (2 * h);
+// Whether "name = ..." declares a slider: not when the name reads as known
+// names multiplied together, so "xy = 1" is the curve x * y = 1. A slider
+// that already exists can always be set again.
+function declaresParam(name, scope, isKnown) {
+  if (isBuiltin(name) || VARIABLES.includes(name)) return false;
+  if (scope.has(name)) return true;
+  return tokenize(name, isKnown).some(t => t.type === 'ident' && !isKnown(t.value));
 }
 
-export function parseEquationToFunction(input) {
-  let raw = input.trim();
-  const { base, condSrc } = extractCondition(raw);
-  // Detect orientation using the base part
-  const isXofY = /^x\s*=/.test(base.toLowerCase());
-
-  // Build condition function if provided
-  let cond = null;
-  if (condSrc && condSrc.length) {
-    const condExpr = sanitizeExpression(condSrc); // reuse for implicit mult and caret
-    validateCondition(condExpr);
-    try {
-      const cfun = new Function(
-        'x','y','Math',
-        `"use strict";
-         const { PI, E, sin, cos, tan, asin, acos, atan, atan2, abs, sqrt, pow, log, exp, min, max, floor, ceil, round, sign } = Math;
-         return !!(${condExpr});`
-      );
-      cond = (x,y) => {
-        try { return !!cfun(x,y,Math); } catch { return false; }
-      };
-    } catch (e) {
-      throw new Error('Failed to parse condition');
+// Whether `name` could be declared as a slider on an empty board; used to
+// check the sliders in shared links and saves before they reach a Scope
+export function isParamName(name) {
+  const isKnown = (n) => isBuiltin(n) || VARIABLES.includes(n);
+  return typeof name === 'string' && /^[A-Za-z_][A-Za-z0-9_]*$/.test(name) && declaresParam(name, EMPTY_SCOPE, isKnown);
+}
+
+// Names other than variables and built-ins that an equation mentions, defined
+// or not: what a curve that no longer parses may be waiting for. Throws
+// ParseError when the equation can't even be split into tokens.
+export function namesUsed(input, scope = EMPTY_SCOPE) {
+  const isKnown = (name) => isBuiltin(name) || VARIABLES.includes(name) || scope.has(name) || scope.hasFunction(name);
+  const names = tokenize(input, isKnown).filter(t => t.type === 'ident').map(t => t.value);
+  return new Set(names.filter(name => !isBuiltin(name) && !VARIABLES.includes(name)));
+}
+
+// "a = 0.5 {-5 < a < 5}": a named slider value with an optional range
+function parseParam(input, name, scope) {
+  if (scope.hasFunction(name)) {
+    throw new ParseError(`${name} is already a function; pick another name for the slider`, input.indexOf(name), input.indexOf(name) + name.length);
+  }
+  const isKnown = (n) => isBuiltin(n) || VARIABLES.includes(n) || n === name;
+  const { rhs, cond } = parseStatement(input, isKnown);
+  walk(rhs, (n) => {
+    if (n.type === 'symbol' && !(n.name in CONSTANTS)) {
+      throw new ParseError(`A slider value must be a number, e.g. ${name} = 0.5`, n.start, n.end);
+    }
+  });
+  const value = compile(rhs)({});
+  if (!Number.isFinite(value)) throw new ParseError(`${name} must be a finite number`, rhs.start, rhs.end);
+  const span = Math.max(10, Math.ceil(Math.abs(value) * 2));
+  const { min, max, rest } = extractRange(cond, name, -span, span, EMPTY_SCOPE);
+  if (rest) throw new ParseError(`Only a range like {-5 < ${name} < 5} can follow a slider`, rest.start, rest.end);
+  return {
+    type: 'param', name, expr: `${name} = ${format(rhs)}`,
+    value: Math.min(max, Math.max(min, value)), min, max, step: (max - min) / 200,
+  };
+}
+
+// "f(x) = x^2 - 3" or "g(x, k) = k sin(x)": a helper function for later
+// equations. The body is checked by expanding it, so calls to missing
+// definitions and cycles are caught here rather than when it is used.
+function parseDefinition(input, name, params, scope) {
+  const nameStart = input.indexOf(name);
+  if (scope.has(name)) {
+    throw new ParseError(`${name} is already a slider; pick another name for the function`, nameStart, nameStart + name.length);
+  }
+  for (const [i, p] of params.entries()) {
+    if (isBuiltin(p) || p === name || params.indexOf(p) !== i) {
+      const at = input.indexOf(p, nameStart + name.length);
+      throw new ParseError(`${p} can't be a parameter of ${name}`, at, at + p.length);
     }
   }
+  const isKnown = (n) => isBuiltin(n) || VARIABLES.includes(n) || params.includes(n) || n === name ||
+    scope.has(n) || scope.hasFunction(n);
+  const arityOf = (n) => (n === name ? params.length : scope.arityOf(n));
+  const { op, rhs: body, cond } = parseStatement(input, isKnown, arityOf);
+  if (op !== '=') throw new ParseError(`A function is defined with =, e.g. ${name}(x) = x^2`, 0, input.length);
+  if (cond) throw new ParseError(`A condition can't follow a function definition`, cond.start, cond.end);
+  const signature = `${name}(${params.join(', ')})`;
+  checkSymbols(body, params, `in ${signature}; use ${params.join(', ')}`, scope);
+  checkNoTuples(body);
+
+  const used = new Set();
+  const expanded = expandCalls(body, scope, used, [name]);
+  checkAllowed(expanded, scope);
+  const result = {
+    type: 'function', name, params, body,
+    expr: `${signature} = ${format(body)}`,
+    deps: collectDeps([expanded], used, scope),
+  };
+  // A parameter that shadows a slider is not a dependency on it
+  for (const p of params) result.deps.delete(p);
+  if (params.length === 1) {
+    // One-variable functions can be graphed and differentiated for the preview
+    result.f = buildFunction(expanded, params[0], scope);
+    result.dexpr = format(differentiate(expanded, params[0]));
+  }
+  return result;
+}
+
+function parseRelation(lhs, op, rhs, condNode, scope) {
+  if (!op && lhs.type === 'tuple') return parseParametric(lhs, condNode, scope);
+  if (op && isSymbol(lhs, 'r')) return parsePolar(rhs, condNode, scope);
+
+  let type = 'yOfX';
+  let body = lhs;
+  if (op) {
+    // Solved for y or x on either side; anything else is an implicit relation
+    if (isSymbol(lhs, 'y') && !dependsOn(rhs, 'y')) body = rhs;
+    else if (isSymbol(rhs, 'y') && !dependsOn(lhs, 'y')) body = lhs;
+    else if (isSymbol(lhs, 'x') && !dependsOn(rhs, 'x')) { type = 'xOfY'; body = rhs; }
+    else if (isSymbol(rhs, 'x') && !dependsOn(lhs, 'x')) { type = 'xOfY'; body = lhs; }
+    else return parseImplicit(lhs, rhs, condNode, scope);
+  }
+
+  const variable = type === 'xOfY' ? 'y' : 'x';
+  checkSymbols(body, [variable], `on the right of ${type === 'xOfY' ? 'x' : 'y'} =`, scope);
+  checkNoTuples(body);
+  const cond = condNode ? buildCondition(condNode, scope) : null;
+  const f = buildFunction(body, variable, scope);
+  const dAst = differentiate(body, variable);
+  return {
+    expr: format(body), ast: body, f,
+    df: buildFunction(dAst, variable, scope), dexpr: format(dAst),
+    type, cond, pieceKey: buildPieceKey([body], variable, scope),
+  };
+}
+
+// "lhs < rhs" and friends: a solid region whose boundary is lhs = rhs. The
+// boundary keeps the orientation it would have as an equation so it samples
+// and collides like any other curve; `region.inside` tests the filled side.
+function parseRegion(lhs, op, rhs, condNode, scope) {
+  for (const side of [lhs, rhs]) {
+    if (side.type === 'tuple') throw new ParseError("A point (a, b) can't be part of an inequality", side.start, side.end);
+    if (isSymbol(side, 'r')) throw new ParseError('Polar inequalities are not supported; use x and y', side.start, side.end);
+    checkSymbols(side, ['x', 'y'], 'in an inequality of x and y', scope);
+  }
+  const boundary = parseRelation(lhs, '=', rhs, condNode, scope);
+  const test = buildCondition({ type: 'compare', ops: [op], operands: [lhs, rhs] }, scope);
+  const cond = boundary.cond;
+  return {
+    ...boundary,
+    expr: `${format(lhs)} ${op} ${format(rhs)}`,
+    region: {
+      inside: cond ? (x, y) => test(x, y) && cond(x, y) : test,
+      strict: op === '<' || op === '>',
+    },
+  };
+}
+
+// (x(t), y(t)) with an optional t-range, defaulting to one full turn
+function parseParametric(tuple, condNode, scope) {
+  if (tuple.items.length !== 2) {
+    throw new ParseError('A parametric curve needs exactly two parts: (x(t), y(t))', tuple.start, tuple.end);
+  }
+  const [xAst, yAst] = tuple.items;
+  for (const item of tuple.items) {
+    checkSymbols(item, ['t'], 'in a parametric curve; use t', scope);
+    checkNoTuples(item);
+  }
+  const { min: tMin, max: tMax, rest } = extractRange(condNode, 't', 0, 2 * Math.PI, scope);
+  const cond = rest ? buildCondition(rest, scope, ['x', 'y', 't']) : null;
+  const dxAst = differentiate(xAst, 't');
+  const dyAst = differentiate(yAst, 't');
+  return {
+    expr: format(tuple), ast: tuple,
+    fx: buildFunction(xAst, 't', scope), fy: buildFunction(yAst, 't', scope),
+    dfx: buildFunction(dxAst, 't', scope), dfy: buildFunction(dyAst, 't', scope),
+    dexpr: `(${format(dxAst)}, ${format(dyAst)})`,
+    type: 'parametric', tMin, tMax, cond, pieceKey: buildPieceKey(tuple.items, 't', scope),
+  };
+}
+
+// r = f(theta), sampled as the parametric curve (f cos(theta), f sin(theta))
+function parsePolar(body, condNode, scope) {
+  checkSymbols(body, ['theta'], 'in a polar curve; use theta', scope);
+  checkNoTuples(body);
+  const { min, max, rest } = extractRange(condNode, 'theta', 0, 2 * Math.PI, scope);
+  const cond = rest ? buildCondition(rest, scope, ['x', 'y', 'theta'], 'theta') : null;
+  const theta = { type: 'symbol', name: 'theta' };
+  const xAst = { type: 'binary', op: '*', left: body, right: { type: 'call', name: 'cos', args: [theta] } };
+  const yAst = { type: 'binary', op: '*', left: body, right: { type: 'call', name: 'sin', args: [theta] } };
+  return {
+    expr: format(body), ast: body,
+    f: buildFunction(body, 'theta', scope),
+    fx: buildFunction(xAst, 'theta', scope), fy: buildFunction(yAst, 'theta', scope),
+    dfx: buildFunction(differentiate(xAst, 'theta'), 'theta', scope),
+    dfy: buildFunction(differentiate(yAst, 'theta'), 'theta', scope),
+    dexpr: format(differentiate(body, 'theta')),
+    type: 'polar', tMin: min, tMax: max, cond, pieceKey: buildPieceKey([body], 'theta', scope),
+  };
+}
+
+// F(x, y) = G(x, y), contoured as the zero set of F - G
+function parseImplicit(lhs, rhs, condNode, scope) {
+  for (const side of [lhs, rhs]) {
+    checkSymbols(side, ['x', 'y'], 'in an equation of x and y', scope);
+    checkNoTuples(side);
+  }
+  const F = { type: 'binary', op: '-', left: lhs, right: rhs };
+  const Fx = differentiate(F, 'x');
+  const Fy = differentiate(F, 'y');
+  // Implicit differentiation: dy/dx = -Fx / Fy
+  const slope = simplify({ type: 'unary', op: '-', arg: { type: 'binary', op: '/', left: Fx, right: Fy } });
+  return {
+    expr: `${format(lhs)} = ${format(rhs)}`, ast: F,
+    F: buildFunction2(F, scope), dFdx: buildFunction2(Fx, scope), dFdy: buildFunction2(Fy, scope),
+    dexpr: format(slope),
+    type: 'implicit', cond: condNode ? buildCondition(condNode, scope) : null,
+  };
+}
 
-  const expr = sanitizeExpression(base);
-  validateExpression(expr);
-  if (isXofY) {
-    const g = buildFunctionForY(expr); // expects variable 'y'
-    const dg = buildDerivativeForY(expr);
-    return { expr, f: g, df: dg, type: 'xOfY', cond };
-  } else {
-    const f = buildFunction(expr);
-    const df = buildDerivative(expr);
-    return { expr, f, df, type: 'yOfX', cond };
+// Sample any parsed equation over the given world bounds
+export function sampleEquation(parsed, bounds, step = 0.05) {
+  const { pieceKey, cond } = parsed;
+  switch (parsed.type) {
+    case 'xOfY':
+      return samplePieces(pieceKey, bounds.yMin, bounds.yMax, (a, b) => sampleCurveY(parsed.f, a, b, step, cond));
+    case 'parametric':
+    case 'polar':
+      return samplePieces(pieceKey, parsed.tMin, parsed.tMax, (a, b) => sampleParametric(parsed.fx, parsed.fy, a, b, cond));
+    case 'implicit': return sampleImplicit(parsed.F, bounds, cond);
+    default:
+      return samplePieces(pieceKey, bounds.xMin, bounds.xMax, (a, b) => sampleCurve(parsed.f, a, b, step, cond));
   }
 }
 
@@ -332,3 +723,202 @@ export function sampleCurve(f, xMin, xMax, step = 0.1, cond = null) {
   }
   return out;
 }
+
+// Sample (fx(t), fy(t)) for t in [tMin, tMax] into polyline points {x, y, t}.
+// Refines where the curve bends away from its chord and breaks the line where
+// the curve is undefined or jumps (e.g. tan(t) passing an asymptote).
+export function sampleParametric(fx, fy, tMin, tMax, cond = null) {
+  const MAX_DEPTH = 12;
+  const TOL = 0.01; // acceptable deviation from straight chord
+  const MAX_LEN = 0.5; // longest accepted chord, so sharp features are not skipped
+  const MAX_COORD = 1e6;
+
+  const pts = [];
+
+  function safeEval(t) {
+    try {
+      const x = fx(t);
+      const y = fy(t);
+      if (!Number.isFinite(x) || !Number.isFinite(y)) return null;
+      if (Math.abs(x) > MAX_COORD || Math.abs(y) > MAX_COORD) return null;
+      if (cond && !cond(x, y, t)) return null;
+      return { x, y, t };
+    } catch {
+      return null;
+    }
+  }
+
+  function addBreak() {
+    if (pts.length === 0 || pts[pts.length - 1] !== null) pts.push(null);
+  }
+
+  function push(p) {
+    const last = pts[pts.length - 1];
+    if (!last || Math.hypot(p.x - last.x, p.y - last.y) > 1e-9) pts.push(p);
+  }
+
+  function subdivide(p0, p1, t0, t1, depth) {
+    if (!p0 && !p1) { addBreak(); return; }
+    const tm = 0.5 * (t0 + t1);
+    const pm = safeEval(tm);
+    if (!p0 || !p1 || !pm) {
+      // localize where the curve stops being defined
+      if (depth >= MAX_DEPTH) { addBreak(); return; }
+      subdivide(p0, pm, t0, tm, depth + 1);
+      subdivide(pm, p1, tm, t1, depth + 1);
+      return;
+    }
+    // distance of the midpoint from the chord p0 -> p1
+    const len = Math.hypot(p1.x - p0.x, p1.y - p0.y);
+    const err = len > 1e-12
+      ? Math.abs((p1.x - p0.x) * (p0.y - pm.y) - (p0.x - pm.x) * (p1.y - p0.y)) / len
+      : Math.hypot(pm.x - p0.x, pm.y - p0.y);
+    if ((err > TOL || len > MAX_LEN) && depth < MAX_DEPTH) {
+      subdivide(p0, pm, t0, tm, depth + 1);
+      subdivide(pm, p1, tm, t1, depth + 1);
+      return;
+    }
+    if (len > MAX_LEN) { addBreak(); return; } // still long at max depth: a jump
+    if (pts.length === 0 || pts[pts.length - 1] === null) pts.push(p0);
+    push(pm);
+    push(p1);
+  }
+
+  const coarse = (tMax - tMin) / 64;
+  let t0 = tMin;
+  let p0 = safeEval(t0);
+  for (let i = 1; i <= 64; i++) {
+    const t1 = i === 64 ? tMax : tMin + i * coarse;
+    const p1 = safeEval(t1);
+    subdivide(p0, p1, t0, t1, 0);
+    t0 = t1;
+    p0 = p1;
+  }
+
+  // Clean up excessive nulls
+  const out = [];
+  for (const p of pts) {
+    if (p === null) {
+      if (out.length && out[out.length - 1] !== null) out.push(null);
+    } else {
+      out.push(p);
+    }
+  }
+  return out;
+}
+
+// Contour F(x, y) = 0 over the bounds with marching squares, returning polyline
+// points {x, y} with null breaks. Crossings are refined by bisection, sign
+// changes across poles (F jumping through infinity) are discarded, and
+// segments are chained through shared grid edges so closed shapes come back
+// as closed loops.
+export function sampleImplicit(F, bounds, cond = null, resolution = 240) {
+  const { xMin, xMax, yMin, yMax } = bounds;
+  const h = Math.max(xMax - xMin, yMax - yMin) / resolution;
+  const nx = Math.ceil((xMax - xMin) / h);
+  const ny = Math.ceil((yMax - yMin) / h);
+  const cols = nx + 1;
+
+  function safeEval(x, y) {
+    try {
+      const v = F(x, y);
+      return Number.isFinite(v) ? v : NaN;
+    } catch {
+      return NaN;
+    }
+  }
+
+  const gx = (i) => xMin + i * h;
+  const gy = (j) => yMin + j * h;
+  const values = new Float64Array(cols * (ny + 1));
+  for (let j = 0; j <= ny; j++) {
+    for (let i = 0; i <= nx; i++) values[j * cols + i] = safeEval(gx(i), gy(j));
+  }
+
+  // Crossing point on a grid edge, cached by edge id; null when there is none
+  const crossings = new Map();
+  function crossing(id, x0, y0, v0, x1, y1, v1) {
+    if (crossings.has(id)) return crossings.get(id);
+    let p = null;
+    if ((v0 > 0) !== (v1 > 0)) {
+      let ax = x0, ay = y0, av = v0, bx = x1, by = y1;
+      for (let k = 0; k < 10; k++) {
+        const mx = 0.5 * (ax + bx), my = 0.5 * (ay + by);
+        const mv = safeEval(mx, my);
+        if (Number.isNaN(mv)) break;
+        if ((mv > 0) === (av > 0)) { ax = mx; ay = my; av = mv; } else { bx = mx; by = my; }
+      }
+      const x = 0.5 * (ax + bx), y = 0.5 * (ay + by);
+      const v = safeEval(x, y);
+      // A real root shrinks toward 0; a pole grows past both ends
+      if (Math.abs(v) <= Math.max(Math.abs(v0), Math.abs(v1)) && (!cond || cond(x, y))) p = { x, y };
+    }
+    crossings.set(id, p);
+    return p;
+  }
+
+  // Edge ids: horizontal edge from node n is 2n, vertical edge from node n is 2n + 1
+  const links = new Map();
+  function link(a, b) {
+    if (!links.has(a)) links.set(a, []);
+    if (!links.has(b)) links.set(b, []);
+    links.get(a).push(b);
+    links.get(b).push(a);
+  }
+
+  for (let j = 0; j < ny; j++) {
+    for (let i = 0; i < nx; i++) {
+      const n0 = j * cols + i, n1 = n0 + 1, n3 = n0 + cols, n2 = n3 + 1;
+      const v0 = values[n0], v1 = values[n1], v2 = values[n2], v3 = values[n3];
+      if (Number.isNaN(v0) || Number.isNaN(v1) || Number.isNaN(v2) || Number.isNaN(v3)) continue;
+      const x0 = gx(i), x1 = gx(i + 1), y0 = gy(j), y1 = gy(j + 1);
+      // bottom, right, top, left
+      const edges = [
+        [2 * n0, crossing(2 * n0, x0, y0, v0, x1, y0, v1)],
+        [2 * n1 + 1, crossing(2 * n1 + 1, x1, y0, v1, x1, y1, v2)],
+        [2 * n3, crossing(2 * n3, x0, y1, v3, x1, y1, v2)],
+        [2 * n0 + 1, crossing(2 * n0 + 1, x0, y0, v0, x0, y1, v3)],
+      ].filter(([, p]) => p);
+      if (edges.length === 2) {
+        link(edges[0][0], edges[1][0]);
+      } else if (edges.length === 4) {
+        // Saddle: the centre value decides which corners are connected
+        const centre = safeEval(0.5 * (x0 + x1), 0.5 * (y0 + y1));
+        if ((centre > 0) === (v0 > 0)) {
+          link(edges[0][0], edges[1][0]);
+          link(edges[2][0], edges[3][0]);
+        } else {
+          link(edges[0][0], edges[3][0]);
+          link(edges[1][0], edges[2][0]);
+        }
+      }
+    }
+  }
+
+  // Walk chains, open ones (starting at an end) first, then closed loops
+  const out = [];
+  const visited = new Set();
+  function trace(start) {
+    let prev = null;
+    let cur = start;
+    const first = crossings.get(start);
+    if (out.length && out[out.length - 1] !== null) out.push(null);
+    out.push(first);
+    visited.add(cur);
+    for (;;) {
+      const next = links.get(cur).find(e => e !== prev && !visited.has(e));
+      if (next === undefined) {
+        // close the loop if we came back around to the start
+        if (cur !== start && links.get(cur).includes(start) && prev !== start) out.push(first);
+        break;
+      }
+      visited.add(next);
+      out.push(crossings.get(next));
+      prev = cur;
+      cur = next;
+    }
+  }
+  for (const [id, nbrs] of links) if (nbrs.length === 1 && !visited.has(id)) trace(id);
+  for (const id of links.keys()) if (!visited.has(id)) trace(id);
+  return out;
+}
@@ -0,0 +1,549 @@
+// Expression language: tokenizer, recursive-descent parser, printer and compiler
+// Turns text like "2sin(x) + x^2" into an AST and evaluates it through plain
+// closures (no eval / new Function). Every token and node keeps the character
+// range it came from so errors can point at the exact spot in the input.
+
+export class ParseError extends Error {
+  constructor(message, start = 0, end = start + 1) {
+    super(message);
+    this.name = 'ParseError';
+    this.start = start;
+    this.end = Math.max(end, start + 1);
+  }
+}
+
+// Built-in functions with their accepted argument counts
+export const FUNCTIONS = {
+  sin: { fn: Math.sin, min: 1, max: 1 },
+  cos: { fn: Math.cos, min: 1, max: 1 },
+  tan: { fn: Math.tan, min: 1, max: 1 },
+  asin: { fn: Math.asin, min: 1, max: 1 },
+  acos: { fn: Math.acos, min: 1, max: 1 },
+  atan: { fn: Math.atan, min: 1, max: 1 },
+  atan2: { fn: Math.atan2, min: 2, max: 2 },
+  abs: { fn: Math.abs, min: 1, max: 1 },
+  sqrt: { fn: Math.sqrt, min: 1, max: 1 },
+  pow: { fn: Math.pow, min: 2, max: 2 },
+  log: { fn: Math.log, min: 1, max: 1 },
+  exp: { fn: Math.exp, min: 1, max: 1 },
+  min: { fn: Math.min, min: 1, max: Infinity },
+  max: { fn: Math.max, min: 1, max: Infinity },
+  floor: { fn: Math.floor, min: 1, max: 1 },
+  ceil: { fn: Math.ceil, min: 1, max: 1 },
+  round: { fn: Math.round, min: 1, max: 1 },
+  sign: { fn: Math.sign, min: 1, max: 1 },
+};
+
+export const CONSTANTS = { PI: Math.PI, E: Math.E };
+
+// Alternative spellings accepted in input
+const ALIASES = { ln: 'log' };
+// Single Greek letters that stand for a named identifier
+const GREEK = { 'θ': 'theta', 'π': 'PI' };
+
+const TWO_CHAR_OPS = ['**', '<=', '>=', '==', '!=', '&&', '||'];
+const ONE_CHAR_OPS = '+-*/^(),=<>!{}:';
+
+// Split input into tokens. `isKnown(name)` tells which identifiers exist so runs
+// of letters like "xsin" can be split into "x" and "sin"; a run that cannot be
+// split is emitted whole and rejected (or accepted) by the parser.
+export function tokenize(src, isKnown) {
+  const tokens = [];
+  let i = 0;
+  while (i < src.length) {
+    const ch = src[i];
+    if (/\s/.test(ch)) { i++; continue; }
+
+    if (/[0-9.]/.test(ch)) {
+      const m = /^(\d+\.?\d*|\.\d+)/.exec(src.slice(i));
+      if (!m) throw new ParseError(`Unexpected character '${ch}'`, i);
+      tokens.push({ type: 'num', value: parseFloat(m[1]), start: i, end: i + m[1].length });
+      i += m[1].length;
+      // "1.2.3" would otherwise read as 1.2 * .3
+      if (src[i] === '.') throw new ParseError('A number can only have one decimal point', i);
+      continue;
+    }
+
+    if (GREEK[ch]) {
+      tokens.push({ type: 'ident', value: GREEK[ch], start: i, end: i + 1 });
+      i++;
+      continue;
+    }
+
+    if (/[A-Za-z_]/.test(ch)) {
+      const word = /^[A-Za-z_][A-Za-z0-9_]*/.exec(src.slice(i))[0];
+      i = splitWord(word, i, isKnown, tokens);
+      continue;
+    }
+
+    const two = src.slice(i, i + 2);
+    if (TWO_CHAR_OPS.includes(two)) {
+      tokens.push({ type: 'op', value: two === '**' ? '^' : two, start: i, end: i + 2 });
+      i += 2;
+      continue;
+    }
+    if (ONE_CHAR_OPS.includes(ch)) {
+      tokens.push({ type: 'op', value: ch, start: i, end: i + 1 });
+      i++;
+      continue;
+    }
+    throw new ParseError(`Unexpected character '${ch}'`, i);
+  }
+  tokens.push({ type: 'eof', value: null, start: src.length, end: src.length });
+  return tokens;
+}
+
+// Push identifier tokens for `word` (found at `start`) and return the index
+// where scanning should resume. Digits that follow a split name are left for
+// the number lexer so "x2" reads as x * 2.
+function splitWord(word, start, isKnown, tokens) {
+  const canonical = (name) => ALIASES[name] || name;
+  if (isKnown(canonical(word))) {
+    tokens.push({ type: 'ident', value: canonical(word), start, end: start + word.length });
+    return start + word.length;
+  }
+  let j = 0;
+  while (j < word.length) {
+    if (/[0-9]/.test(word[j])) return start + j;
+    let len = 0;
+    for (let k = word.length; k > j; k--) {
+      if (isKnown(canonical(word.slice(j, k)))) { len = k - j; break; }
+    }
+    if (!len) {
+      // Unsplittable remainder: hand it to the parser as one identifier
+      tokens.push({ type: 'ident', value: word.slice(j), start: start + j, end: start + word.length });
+      return start + word.length;
+    }
+    tokens.push({ type: 'ident', value: canonical(word.slice(j, j + len)), start: start + j, end: start + j + len });
+    j += len;
+  }
+  return start + word.length;
+}
+
+// Precedence used by both the parser and the printer
+const PREC = { '||': 1, '&&': 2, compare: 3, '+': 4, '-': 4, '*': 5, '/': 5, unary: 6, '^': 7, atom: 8 };
+const COMPARE_OPS = ['<', '<=', '>', '>=', '==', '!=', '='];
+
+class Parser {
+  // arityOf(name) gives the parameter count of a player-defined function, or null
+  constructor(tokens, arityOf = () => null) {
+    this.tokens = tokens;
+    this.pos = 0;
+    this.arityOf = arityOf;
+  }
+
+  peek(offset = 0) { return this.tokens[Math.min(this.pos + offset, this.tokens.length - 1)]; }
+  next() { return this.tokens[this.pos++]; }
+  isOp(value, offset = 0) { const t = this.peek(offset); return t.type === 'op' && t.value === value; }
+
+  expect(value) {
+    const t = this.peek();
+    if (t.type === 'op' && t.value === value) return this.next();
+    throw new ParseError(`Expected '${value}'${describe(t, ' but found ')}`, t.start, t.end);
+  }
+
+  // condition := and ('||' and)*
+  parseCondition() {
+    let left = this.parseAnd();
+    while (this.isOp('||')) {
+      this.next();
+      const right = this.parseAnd();
+      left = { type: 'logical', op: '||', left, right, start: left.start, end: right.end };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.isOp('&&')) {
+      this.next();
+      const right = this.parseNot();
+      left = { type: 'logical', op: '&&', left, right, start: left.start, end: right.end };
+    }
+    return left;
+  }
+
+  parseNot() {
+    if (this.isOp('!')) {
+      const t = this.next();
+      const arg = this.parseNot();
+      return { type: 'unary', op: '!', arg, start: t.start, end: arg.end };
+    }
+    return this.parseComparison();
+  }
+
+  // Comparisons may be chained: 0 < x < 5
+  parseComparison() {
+    const first = this.parseArithmetic();
+    const operands = [first];
+    const ops = [];
+    while (this.peek().type === 'op' && COMPARE_OPS.includes(this.peek().value)) {
+      const op = this.next().value;
+      ops.push(op === '=' ? '==' : op);
+      operands.push(this.parseArithmetic());
+    }
+    if (!ops.length) return first;
+    return { type: 'compare', ops, operands, start: first.start, end: operands[operands.length - 1].end };
+  }
+
+  // arithmetic := term (('+' | '-') term)*
+  parseArithmetic() {
+    let left = this.parseTerm();
+    while (this.isOp('+') || this.isOp('-')) {
+      const op = this.next().value;
+      const right = this.parseTerm();
+      left = { type: 'binary', op, left, right, start: left.start, end: right.end };
+    }
+    return left;
+  }
+
+  // term := unary (('*' | '/') unary | unary)*   -- juxtaposition multiplies
+  parseTerm() {
+    let left = this.parseUnary();
+    for (;;) {
+      let op;
+      if (this.isOp('*') || this.isOp('/')) op = this.next().value;
+      else if (this.startsFactor()) {
+        // "2 3" is a typo rather than 6
+        const t = this.peek();
+        if (t.type === 'num' && this.peek(-1).type === 'num') {
+          throw new ParseError('Put an operator between these two numbers', t.start, t.end);
+        }
+        op = '*';
+      } else break;
+      const right = this.parseUnary();
+      left = { type: 'binary', op, left, right, start: left.start, end: right.end };
+    }
+    return left;
+  }
+
+  startsFactor() {
+    const t = this.peek();
+    return t.type === 'num' || t.type === 'ident' || (t.type === 'op' && t.value === '(');
+  }
+
+  parseUnary() {
+    if (this.isOp('-') || this.isOp('+')) {
+      const t = this.next();
+      const arg = this.parseUnary();
+      if (t.value === '+') return arg;
+      // Fold literal negatives so "-0.5x" prints back the same way
+      if (arg.type === 'number') return { type: 'number', value: -arg.value, start: t.start, end: arg.end };
+      return { type: 'unary', op: '-', arg, start: t.start, end: arg.end };
+    }
+    return this.parsePower();
+  }
+
+  // power := primary ('^' unary)?   -- right associative, -x^2 is -(x^2)
+  parsePower() {
+    const base = this.parsePrimary();
+    if (this.isOp('^')) {
+      this.next();
+      const exponent = this.parseUnary();
+      return { type: 'binary', op: '^', left: base, right: exponent, start: base.start, end: exponent.end };
+    }
+    return base;
+  }
+
+  parsePrimary() {
+    const t = this.peek();
+    if (t.type === 'num') {
+      this.next();
+      return { type: 'number', value: t.value, start: t.start, end: t.end };
+    }
+    if (t.type === 'ident') {
+      this.next();
+      if (FUNCTIONS[t.value] || this.arityOf(t.value) !== null) return this.parseCall(t);
+      const symbol = { type: 'symbol', name: t.value, start: t.start, end: t.end };
+      // Remembered so an unknown name can be reported as a missing function
+      if (this.isOp('(')) symbol.applied = true;
+      return symbol;
+    }
+    if (this.isOp('(')) {
+      this.next();
+      const inner = this.parseArithmetic();
+      // (a, b) is a point/tuple, used by parametric curves
+      if (this.isOp(',')) {
+        const items = [inner];
+        while (this.isOp(',')) {
+          this.next();
+          items.push(this.parseArithmetic());
+        }
+        const close = this.expect(')');
+        return { type: 'tuple', items, start: t.start, end: close.end };
+      }
+      const close = this.expect(')');
+      return { ...inner, start: t.start, end: close.end };
+    }
+    if (this.isOp('{')) return this.parsePiecewise();
+    if (t.type === 'eof') throw new ParseError('Expression is incomplete', t.start, t.end);
+    throw new ParseError(`Unexpected '${t.value}'`, t.start, t.end);
+  }
+
+  // piecewise := '{' condition ':' arithmetic (',' condition ':' arithmetic)* [',' arithmetic] '}'
+  // The first piece whose condition holds wins; the optional last value
+  // without a condition applies everywhere else.
+  parsePiecewise() {
+    const open = this.next();
+    const pieces = [];
+    let otherwise = null;
+    for (;;) {
+      const cond = this.parseCondition();
+      if (this.isOp(':')) {
+        if (otherwise) throw new ParseError('The value without a condition must come last', otherwise.start, otherwise.end);
+        this.next();
+        pieces.push({ cond, value: this.parseArithmetic() });
+      } else if (otherwise) {
+        throw new ParseError('Only one value can go without a condition', cond.start, cond.end);
+      } else {
+        otherwise = cond;
+      }
+      if (!this.isOp(',')) break;
+      this.next();
+    }
+    const close = this.expect('}');
+    if (!pieces.length) {
+      throw new ParseError('A piecewise curve needs pieces like { x < 0: -x, x >= 0: x^2 }', open.start, close.end);
+    }
+    if (otherwise && (otherwise.type === 'compare' || otherwise.type === 'logical')) {
+      throw new ParseError(`Expected ':' and a value after this condition`, otherwise.start, otherwise.end);
+    }
+    return { type: 'piecewise', pieces, otherwise, start: open.start, end: close.end };
+  }
+
+  parseCall(nameTok) {
+    const user = !FUNCTIONS[nameTok.value];
+    const arity = user ? this.arityOf(nameTok.value) : 0;
+    const spec = user ? { min: arity, max: arity } : FUNCTIONS[nameTok.value];
+    if (!this.isOp('(')) {
+      throw new ParseError(`${nameTok.value} needs parentheses, e.g. ${nameTok.value}(x)`, nameTok.start, nameTok.end);
+    }
+    this.next();
+    const args = [this.parseArithmetic()];
+    while (this.isOp(',')) {
+      this.next();
+      args.push(this.parseArithmetic());
+    }
+    const close = this.expect(')');
+    if (args.length < spec.min || args.length > spec.max) {
+      const expected = spec.min === spec.max ? spec.min : `at least ${spec.min}`;
+      throw new ParseError(
+        `${nameTok.value} takes ${expected} argument${expected === 1 ? '' : 's'}`,
+        nameTok.start, close.end
+      );
+    }
+    const call = { type: 'call', name: nameTok.value, args, start: nameTok.start, end: close.end };
+    if (user) call.user = true;
+    return call;
+  }
+}
+
+function describe(token, prefix) {
+  if (!token || token.type === 'eof') return `${prefix}end of input`;
+  return `${prefix}'${token.value}'`;
+}
+
+const STATEMENT_OPS = ['=', '<', '<=', '>', '>='];
+
+// Parse a statement of the form  lhs [op rhs] [{ condition }]  where op is '='
+// or an inequality. Returns { lhs, op, rhs, cond }; op/rhs are null without one.
+// Calls to player-defined functions come back as call nodes with `user: true`.
+export function parseStatement(src, isKnown, arityOf) {
+  const parser = new Parser(tokenize(src, isKnown), arityOf);
+  const lhs = parser.parseArithmetic();
+  let op = null;
+  let rhs = null;
+  if (STATEMENT_OPS.some(o => parser.isOp(o))) {
+    op = parser.next().value;
+    rhs = parser.parseArithmetic();
+  }
+  let cond = null;
+  if (parser.isOp('{')) {
+    parser.next();
+    cond = parser.parseCondition();
+    if (parser.isOp(':')) {
+      throw new ParseError('Use * to multiply by a piecewise { ... }, e.g. 2 * {x < 0: 1, 0}', cond.start, cond.end);
+    }
+    parser.expect('}');
+  }
+  const rest = parser.peek();
+  if (rest.type !== 'eof') throw new ParseError(`Unexpected '${rest.value}'`, rest.start, rest.end);
+  return { lhs, op, rhs, cond };
+}
+
+export function isBuiltin(name) {
+  return name in FUNCTIONS || name in CONSTANTS || name in ALIASES;
+}
+
+export function walk(node, visit) {
+  if (!node) return;
+  visit(node);
+  switch (node.type) {
+    case 'unary': walk(node.arg, visit); break;
+    case 'binary':
+    case 'logical': walk(node.left, visit); walk(node.right, visit); break;
+    case 'call': node.args.forEach(a => walk(a, visit)); break;
+    case 'compare': node.operands.forEach(o => walk(o, visit)); break;
+    case 'tuple': node.items.forEach(item => walk(item, visit)); break;
+    case 'piecewise':
+      for (const piece of node.pieces) { walk(piece.cond, visit); walk(piece.value, visit); }
+      walk(node.otherwise, visit);
+      break;
+  }
+}
+
+// Compile an AST into a closure taking a variables object, e.g. fn({ x: 2 }).
+// Names found in `env` (slider parameters) are read from it on every call, so
+// changing env values changes the result without recompiling.
+export function compile(node, env = null) {
+  const rec = (n) => compile(n, env);
+  switch (node.type) {
+    case 'number': {
+      const v = node.value;
+      return () => v;
+    }
+    case 'symbol': {
+      const name = node.name;
+      if (name in CONSTANTS) {
+        const v = CONSTANTS[name];
+        return () => v;
+      }
+      if (env && name in env) return () => env[name];
+      return (vars) => vars[name];
+    }
+    case 'unary': {
+      const a = rec(node.arg);
+      return node.op === '-' ? (vars) => -a(vars) : (vars) => !a(vars);
+    }
+    case 'binary': {
+      const l = rec(node.left);
+      const r = rec(node.right);
+      switch (node.op) {
+        case '+': return (vars) => l(vars) + r(vars);
+        case '-': return (vars) => l(vars) - r(vars);
+        case '*': return (vars) => l(vars) * r(vars);
+        case '/': return (vars) => l(vars) / r(vars);
+        case '^': return (vars) => Math.pow(l(vars), r(vars));
+      }
+      break;
+    }
+    case 'call': {
+      const fn = FUNCTIONS[node.name].fn;
+      const args = node.args.map(rec);
+      if (args.length === 1) {
+        const a = args[0];
+        return (vars) => fn(a(vars));
+      }
+      return (vars) => fn(...args.map(a => a(vars)));
+    }
+    case 'compare': {
+      const operands = node.operands.map(rec);
+      const ops = node.ops;
+      return (vars) => {
+        let left = operands[0](vars);
+        for (let i = 0; i < ops.length; i++) {
+          const right = operands[i + 1](vars);
+          if (!compareValues(ops[i], left, right)) return false;
+          left = right;
+        }
+        return true;
+      };
+    }
+    case 'logical': {
+      const l = rec(node.left);
+      const r = rec(node.right);
+      return node.op === '&&' ? (vars) => !!(l(vars) && r(vars)) : (vars) => !!(l(vars) || r(vars));
+    }
+    case 'piecewise': {
+      const conds = node.pieces.map(p => rec(p.cond));
+      const values = node.pieces.map(p => rec(p.value));
+      const otherwise = node.otherwise ? rec(node.otherwise) : () => NaN;
+      return (vars) => {
+        for (let i = 0; i < conds.length; i++) if (conds[i](vars)) return values[i](vars);
+        return otherwise(vars);
+      };
+    }
+  }
+  throw new Error(`Cannot compile node of type ${node.type}`);
+}
+
+function compareValues(op, a, b) {
+  switch (op) {
+    case '<': return a < b;
+    case '<=': return a <= b;
+    case '>': return a > b;
+    case '>=': return a >= b;
+    case '==': return Math.abs(a - b) < 1e-9;
+    case '!=': return Math.abs(a - b) >= 1e-9;
+  }
+  return false;
+}
+
+// Print an AST back to readable math, adding only the parentheses needed.
+export function format(node) {
+  switch (node.type) {
+    case 'number': return formatNumber(node.value);
+    case 'symbol': return node.name;
+    case 'unary': {
+      const inner = wrap(node.arg, PREC.unary);
+      return node.op === '-' ? `-${inner}` : `!${inner}`;
+    }
+    case 'binary': {
+      const p = PREC[node.op];
+      if (node.op === '^') {
+        return `${wrap(node.left, p + 1)}^${wrap(node.right, p)}`;
+      }
+      const left = wrap(node.left, p);
+      // Right operand of - and / needs parens at equal precedence: a - (b + c)
+      const right = wrap(node.right, node.op === '-' || node.op === '/' ? p + 1 : p);
+      if (node.op === '*' && canJuxtapose(node.left, node.right)) return `${left}${right}`;
+      if (node.op === '*' || node.op === '/') return `${left}${node.op === '*' ? ' * ' : '/'}${right}`;
+      return `${left} ${node.op} ${right}`;
+    }
+    case 'call': return `${node.name}(${node.args.map(format).join(', ')})`;
+    case 'tuple': return `(${node.items.map(format).join(', ')})`;
+    case 'compare': {
+      let out = wrap(node.operands[0], PREC.compare + 1);
+      node.ops.forEach((op, i) => { out += ` ${op} ${wrap(node.operands[i + 1], PREC.compare + 1)}`; });
+      return out;
+    }
+    case 'logical': {
+      const p = PREC[node.op];
+      return `${wrap(node.left, p)} ${node.op} ${wrap(node.right, p)}`;
+    }
+    case 'piecewise': {
+      const parts = node.pieces.map(p => `${format(p.cond)}: ${format(p.value)}`);
+      if (node.otherwise) parts.push(format(node.otherwise));
+      return `{${parts.join(', ')}}`;
+    }
+  }
+  return '?';
+}
+
+function precedenceOf(node) {
+  switch (node.type) {
+    case 'number': return node.value < 0 ? PREC.unary : PREC.atom;
+    case 'unary': return PREC.unary;
+    case 'binary':
+    case 'logical': return PREC[node.op];
+    case 'compare': return PREC.compare;
+    default: return PREC.atom;
+  }
+}
+
+function wrap(node, minPrec) {
+  const s = format(node);
+  return precedenceOf(node) < minPrec ? `(${s})` : s;
+}
+
+// "2x", "3sin(x)", "0.5x^2" read naturally; everything else keeps an explicit *
+function canJuxtapose(left, right) {
+  if (left.type !== 'number') return false;
+  if (right.type === 'symbol' || right.type === 'call') return true;
+  return right.type === 'binary' && right.op === '^' && (right.left.type === 'symbol' || right.left.type === 'call');
+}
+
+export function formatNumber(v) {
+  if (Number.isInteger(v)) return String(v);
+  return String(parseFloat(v.toFixed(6)));
+}
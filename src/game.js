@@ -1,8 +1,23 @@
 // Game orchestration: state, UI bindings, loop
-import { World, randRange } from './utils.js';
+import { World, randRange, createRng, randomSeed, closestPointOnSegment } from './utils.js';
 import { Renderer } from './render.js';
-import { parseEquationToFunction, sampleCurve, sampleCurveY } from './equations.js';
-import { Ball, updateBalls, checkStarCollection } from './physics.js';
+import { parseEquationToFunction, sampleEquation, sampleCurve, namesUsed, Scope } from './equations.js';
+import { Ball, stepBalls, tracePath, checkStarCollection, SURFACES, STEP, GRAVITY, BALL_RADIUS, STAR_RADIUS } from './physics.js';
+import { LEVELS, LevelError } from './levels.js';
+import { solveLayout, solves, formatEquation, SIM_STEPS } from './solver.js';
+import { scoreLevel, workSize } from './scoring.js';
+import { ReplayRecorder, ReplayPlayer } from './replay.js';
+import { SegmentGrid } from './spatial.js';
+
+const LOCKED_COLOR = '#94a3b8'; // curves given by the level
+// Generated levels always span the same region, so a seed gives the same
+// layout on every screen
+const GENERATED_BOUNDS = { xMin: -12, xMax: 12, yMin: -8, yMax: 8 };
+const LAYOUT_ATTEMPTS = 12; // random pro layouts tried before falling back to one built on a slope
+const MAX_FRAME = 0.25; // seconds of a slow frame caught up on; after a stall the game just pauses
+const TRAIL_POINTS = 40; // positions kept per ball for its trail, one every TRAIL_EVERY steps
+const TRAIL_EVERY = 2;
+const GHOST_STEPS = 6 / STEP; // how far ahead (6 seconds) the predicted path runs
 
 export class Game {
   constructor(canvas, statusEls) {
@@ -13,23 +28,50 @@ export class Game {
 
     this.balls = [];
     this.stars = [];
-    this.curves = []; // { expr, f, df, points, color }
-    this.preview = null; // { expr, f, df, points }
+    this.curves = []; // parsed equation ({ expr, type, f, df, ... }) plus { id, src, points, grid, viewPoints, color, hidden, surface, friction, restitution }
+    this.nextCurveId = 1; // ids stay stable while curves are edited or removed
+    this.colorCount = 0; // curves coloured so far; deleting one doesn't shift the others
+    this.onCurvesChanged = null; // optional callback for the equation list
+    this.preview = null; // parsed equation plus { src, points, viewPoints }
+    this.scope = new Scope(); // slider parameters and functions shared by all equations
 
-    // Negative gravity because increasing world-y goes up on the canvas
-    this.gravity = -20.0; // stronger gravity for faster fall
-    this.spawnTimer = 0;
-    this.spawnInterval = 0.08; // rapid succession between drops
+    this.gravity = GRAVITY;
+    this.accumulator = 0; // frame time not yet simulated, less than one physics step
+    this.tick = 0; // physics steps run so far
+    this.spawnTimer = 0; // physics steps since the last drop
+    this.spawnInterval = 5; // physics steps between drops (1/12 s)
     this.burstTotal = 20; // total balls per burst
     this.spawned = 0; // spawned in current burst
     this.launched = false; // only spawn when user triggers
-    this.dropX = 0; // drop position on x-axis (can be changed)
+    this.droppers = [{ x: 0, y: null, movable: true }]; // y null: just below the top of the level
+    this.dropX = 0; // drop position of the first dropper on x-axis (can be changed)
     this.isMovingDropper = false; // track if user is moving the dropper
+    this.activeDropper = 0; // index of the dropper being moved
+    this.dropperRadius = 10; // canvas pixels, for drawing and hit-testing
+    this.hoverDropper = null; // index of the dropper under the pointer
+    this.hoverCurveId = null; // curve under the pointer, drawn highlighted
+    this.probe = null; // clicked point { x, y, color } whose coordinates are shown
+    this.showTrails = false; // draw where each ball has been
+    this.showGhost = false; // draw where a dropped ball would go ("predict")
+    this.ghost = null; // { inputs, paths }: predicted paths and what they were computed from
 
     this.level = 1;
-    this.mode = 'beginner'; // 'beginner' | 'pro'
-    this.statusEls = statusEls; // { starsStatusEl, levelStatusEl }
+    this.seed = randomSeed(); // generated levels are reproducible from this (see generateStars)
+    this.mode = 'beginner'; // 'beginner' | 'pro' | 'campaign' | 'editor'
+    this.levelData = null; // hand-authored level being played (see levels.js), null for random levels
+    this.campaign = null; // { levels, index } while playing a level pack
+    this.stats = { balls: 0, seconds: 0 }; // for scoring the current level
+    this.results = null; // score of the cleared level while its results are shown
+    this.bestScores = {}; // levelKey() -> { score, medals }
+    this.recorder = null; // ReplayRecorder for the current run (see replay.js)
+    this.recordPending = false; // start recording at the next step, once the level is set up
+    this.player = null; // ReplayPlayer while a replay is being watched
+    this.notice = null; // message shown in place of the hint until the next run
+    this.resultsEl = null;
+    this.maxEquations = null; // cap on player curves set by the level
+    this.statusEls = statusEls; // { starsStatusEl, levelStatusEl, levelHintEl, seedInputEl }
 
+    this.levelBounds = { ...GENERATED_BOUNDS };
     this.resize();
     this.generateStars(5);
     // Seed helper in beginner mode
@@ -38,83 +80,359 @@ export class Game {
   }
 
   resize() {
-    // Keep internal world bounds centered and proportional to canvas aspect
-    const aspect = this.canvas.width / this.canvas.height;
-    const yHalf = 8;
-    const xHalf = yHalf * aspect;
-    this.world.xMin = -xHalf;
-    this.world.xMax = xHalf;
-    this.world.yMin = -yHalf;
-    this.world.yMax = yHalf;
     this.world.setCanvasSize(this.canvas.width, this.canvas.height);
-    // Keep dropper centered (can be changed later via UI if needed)
-    this.dropX = 0;
+    // Levels keep their bounds at any canvas size; the view letterboxes them
+    this.fitLevel();
+  }
+
+  get dropX() {
+    return this.droppers[0].x;
+  }
+
+  set dropX(x) {
+    this.droppers[0].x = x;
+  }
+
+  // Play a hand-authored level (already checked by normalizeLevel) in place
+  // of generated stars. Player sliders and functions carry over.
+  loadLevel(level) {
+    this.levelData = level;
+    this.levelBounds = { ...level.bounds };
+    this.droppers = level.droppers.map(d => ({ ...d }));
+    this.stars = level.stars.map(s => ({ x: s.x, y: s.y, collected: false }));
+    this.beginnerLine = null;
+    this.maxEquations = level.maxEquations;
+    this.balls = [];
+    this.curves = [];
+    this.colorCount = 0;
+    this.preview = null;
+    this.probe = null;
+    this.spawnTimer = 0;
+    this.spawned = 0;
+    this.launched = false;
+    this.startStats();
+    // Given curves may use anything; the level's restrictions apply to players
+    this.scope.allowedFunctions = null;
+    for (const src of level.givenCurves) {
+      const result = this.submitEquation(src, null, { locked: true });
+      if (!result.ok) throw new LevelError(`Given curve "${src}": ${result.error}`);
+    }
+    this.scope.allowedFunctions = level.allowedFunctions ? new Set(level.allowedFunctions) : null;
+    this.fitLevel();
+    this.curvesChanged();
+    this.updateStatus();
+  }
+
+  // Back to generated levels: drop any authored level's restrictions
+  unloadLevel() {
+    this.levelData = null;
+    this.campaign = null;
+    this.maxEquations = null;
+    this.scope.allowedFunctions = null;
+    this.droppers = [{ x: 0, y: null, movable: true }];
+    this.levelBounds = { ...GENERATED_BOUNDS };
+    this.fitLevel();
+  }
+
+  startCampaign(levels = LEVELS) {
+    this.campaign = { levels, index: 0 };
+    this.loadLevel(levels[0]);
+  }
+
+  // Move on after the current campaign level is cleared. Returns false when
+  // the pack is finished.
+  nextCampaignLevel() {
+    const { campaign } = this;
+    if (!campaign || campaign.index + 1 >= campaign.levels.length) return false;
+    campaign.index++;
+    this.loadLevel(campaign.levels[campaign.index]);
+    return true;
+  }
+
+  // Scoring and replay recording restart with every new layout or retry
+  startStats() {
+    this.stats = { balls: 0, seconds: 0 };
+    this.recorder = null;
+    this.recordPending = true;
+    this.player = null;
+    this.notice = null;
+    this.hideResults();
+  }
+
+  // All stars collected: score the level and show the results screen, which
+  // moves on when the player asks. A watched replay shows its results but
+  // doesn't count towards the viewer's best scores.
+  completeLevel() {
+    const curves = this.playerCurves().filter(c => !c.hidden);
+    this.results = scoreLevel({
+      equations: curves.length,
+      symbols: workSize(curves, this.scope),
+      balls: this.stats.balls,
+      seconds: this.stats.seconds,
+    });
+    this.launched = false;
+    const key = this.levelKey();
+    const best = this.bestScores[key];
+    this.results.best = best ? best.score : null;
+    if (!this.player && (!best || this.results.score > best.score)) {
+      this.bestScores[key] = { score: this.results.score, medals: this.results.medals };
+    }
+    this.showResults(this.results);
+  }
+
+  // Names the level on the board for best scores: authored levels by name,
+  // generated ones by mode and seed
+  levelKey() {
+    return this.levelData ? `level:${this.levelData.name}` : `${this.mode}:${this.seed}`;
+  }
+
+  // Everything needed to pick up where the player left off (format in storage.js)
+  saveState() {
+    return {
+      mode: this.mode,
+      level: this.level,
+      seed: this.seed,
+      starCount: this.stars.length,
+      campaignIndex: this.campaign ? this.campaign.index : null,
+      droppers: this.droppers.map(d => ({ x: d.x })),
+      params: [...this.scope.params].map(([name, p]) => ({ name, ...p })),
+      functions: [...this.scope.functions.values()].map(fn => fn.src),
+      curves: this.playerCurves().map(c => ({ src: c.src, hidden: c.hidden, surface: c.surface })),
+      bestScores: { ...this.bestScores },
+    };
+  }
+
+  // Rebuild a saved game (from saveState) on a freshly created Game
+  restoreState(state) {
+    this.hideResults();
+    this.bestScores = { ...state.bestScores };
+    if (state.mode === 'campaign') {
+      const index = Math.min(Math.max(state.campaignIndex ?? 0, 0), LEVELS.length - 1);
+      this.mode = 'campaign';
+      this.campaign = { levels: LEVELS, index };
+      this.loadLevel(LEVELS[index]);
+    } else {
+      if (this.levelData) this.unloadLevel();
+      this.mode = state.mode;
+      this.level = state.level;
+      this.seed = state.seed;
+      this.balls = [];
+      this.curves = [];
+      this.colorCount = 0;
+      this.preview = null;
+      this.probe = null;
+      this.generateStars(state.starCount);
+    }
+    state.droppers.forEach((d, i) => {
+      if (this.droppers[i]?.movable) this.moveDropper(d.x, i);
+    });
+    this.restoreWork(state);
+  }
+
+  // The board as a scene for a shareable link (format in share.js): the
+  // level with its droppers where they are now, and the player's work
+  sceneState() {
+    const level = this.levelData ?? {
+      name: `${this.mode === 'pro' ? 'Pro' : 'Beginner'} level ${this.level} (seed ${this.seed})`,
+      allowedFunctions: null,
+      maxEquations: null,
+    };
+    const { params, functions, curves } = this.saveState();
+    return {
+      level: {
+        ...level,
+        bounds: { ...this.levelBounds },
+        droppers: this.droppers.map(d => ({ x: d.x, y: this.dropperY(d), movable: d.movable })),
+        stars: this.stars.map(s => ({ x: s.x, y: s.y })),
+        givenCurves: this.curves.filter(c => c.locked).map(c => c.src),
+      },
+      params,
+      functions,
+      curves,
+    };
+  }
+
+  // Show a shared scene (from share.js decodeScene) as a one-off level
+  loadScene(scene) {
+    this.hideResults();
+    this.campaign = null;
+    this.loadLevel(scene.level);
+    this.restoreWork(scene);
+  }
+
+  // Put back the player's sliders, definitions and curves ({ params,
+  // functions, curves } as in saveState) on top of the current level
+  restoreWork({ params, functions, curves }) {
+    for (const p of params) this.scope.setParam(p.name, p);
+    // A redefined function can use one defined after it, so keep going
+    // while each pass defines something new
+    let pending = functions;
+    while (pending.length) {
+      const failed = pending.filter(src => !this.submitEquation(src).ok);
+      if (failed.length === pending.length) break;
+      pending = failed;
+    }
+    for (const c of curves) {
+      const result = this.submitEquation(c.src);
+      // A curve that no longer parses (its function was removed) comes back
+      // broken, as it was left, keeping its place in the list: replays refer
+      // to curves by place
+      const id = result.ok ? result.id : this.addBrokenCurve(c.src, result.error);
+      if (id === undefined || id === null) continue;
+      if (c.hidden) this.setCurveHidden(id, true);
+      if (Object.hasOwn(SURFACES, c.surface)) this.setCurveSurface(id, c.surface);
+    }
+    this.curvesChanged();
+    this.updateStatus();
   }
 
+  // Next generated level, or the next level of the campaign (starting the
+  // campaign over after its last level)
+  advanceLevel() {
+    this.hideResults();
+    if (this.campaign) {
+      if (!this.nextCampaignLevel()) this.startCampaign(this.campaign.levels);
+      return;
+    }
+    if (this.levelData) this.unloadLevel(); // after a shared scene, back to generated levels
+    this.level++;
+    this.seed++; // the next level follows from this one's seed
+    this.generateStars(5 + Math.min(5, this.level));
+    // reset burst for new level
+    this.balls = [];
+    this.spawnTimer = 0;
+    this.spawned = 0;
+    this.launched = false; // wait for user to launch again
+    // if beginner, seed a new helper for the new star layout
+    if (this.mode === 'beginner') this.seedBeginnerHelper();
+    this.updateStatus();
+  }
+
+  // Play the cleared level again with the same curves, to improve the score
+  retryLevel() {
+    for (const s of this.stars) s.collected = false;
+    this.balls = [];
+    this.spawnTimer = 0;
+    this.spawned = 0;
+    this.launched = false;
+    this.startStats();
+    this.updateStatus();
+  }
+
+  // Reset the view to show the whole level
+  fitLevel() {
+    this.world.fit(this.levelBounds);
+    this.viewChanged();
+  }
+
+  // The visible range moved or zoomed; curves are re-sampled on the next render
+  viewChanged() {
+    this.resampleDue = true;
+  }
+
+  // The region curves are drawn over: the level and the view
+  sampleBounds() {
+    const { levelBounds: l, world: w } = this;
+    return {
+      xMin: Math.min(l.xMin, w.xMin), xMax: Math.max(l.xMax, w.xMax),
+      yMin: Math.min(l.yMin, w.yMin), yMax: Math.max(l.yMax, w.yMax),
+    };
+  }
+
+  // Curves are sampled over the level for physics, so balls take the same
+  // path at any zoom and window size, and again for drawing when the view
+  // reaches past the level. `points` can be passed in when still current.
+  // The physics points get a grid of their segments (spatial.js), rebuilt
+  // whenever they change.
+  samplePoints(parsed, points = sampleEquation(parsed, this.levelBounds)) {
+    const view = this.sampleBounds();
+    const l = this.levelBounds;
+    const sameRegion = view.xMin === l.xMin && view.xMax === l.xMax && view.yMin === l.yMin && view.yMax === l.yMax;
+    const grid = parsed.grid && parsed.points === points ? parsed.grid : new SegmentGrid(points);
+    return { points, grid, viewPoints: sameRegion ? points : sampleEquation(parsed, view) };
+  }
+
+  resampleCurves() {
+    // Physics points only need redoing when the level itself changed
+    const levelKey = JSON.stringify(this.levelBounds);
+    const levelChanged = levelKey !== this.sampledLevel;
+    this.sampledLevel = levelKey;
+    this.curves = this.curves.map(c => (c.error ? c : { ...c, ...this.samplePoints(c, levelChanged ? undefined : c.points) }));
+    if (this.preview) this.setPreviewEquation(this.preview.src);
+    this.resampleDue = false;
+  }
+
+  // Stars (and the dropper) for a generated level, drawn from this.seed so
+  // the same seed, mode and star count always give the same layout
   generateStars(n) {
+    const rng = createRng(this.seed);
+    const rand = (min, max) => randRange(min, max, rng);
     this.stars = [];
     this.beginnerLine = null;
+    this.startStats();
+    this.solution = null; // an equation known to clear a generated pro level
+    this.solutionShown = false;
     if (this.mode === 'beginner') {
       // Create a more interesting pattern for stars in beginner mode
       // Use a quadratic or sinusoidal pattern instead of just a line
-      const patternType = Math.floor(Math.random() * 3); // 0: quadratic, 1: sinusoidal, 2: linear
+      const patternType = Math.floor(rng() * 3); // 0: quadratic, 1: sinusoidal, 2: linear
       
       // Evenly spaced x positions across the world with small jitter
       const margin = 0.8;
-      const xMin = this.world.xMin * margin;
-      const xMax = this.world.xMax * margin;
+      const xMin = this.levelBounds.xMin * margin;
+      const xMax = this.levelBounds.xMax * margin;
       
       // Parameters for the patterns
-      const midY = (this.world.yMin + this.world.yMax) / 2;
-      const amplitude = (this.world.yMax - this.world.yMin) * 0.25;
+      const midY = (this.levelBounds.yMin + this.levelBounds.yMax) / 2;
+      const amplitude = (this.levelBounds.yMax - this.levelBounds.yMin) * 0.25;
       
       // Generate stars based on pattern type
       if (patternType === 0) {
         // Quadratic pattern: y = a*x^2 + b*x + c
-        const a = randRange(-0.2, 0.2);
-        const b = randRange(-1, 1);
+        const a = rand(-0.2, 0.2);
+        const b = rand(-1, 1);
         const c = midY;
         this.beginnerLine = { type: 'quadratic', a, b, c };
         
         for (let i = 0; i < n; i++) {
           const t = n === 1 ? 0.5 : i / (n - 1);
           let x = xMin + t * (xMax - xMin);
-          x += randRange(-0.2, 0.2);
-          let y = a * x * x + b * x + c + randRange(-0.3, 0.3);
+          x += rand(-0.2, 0.2);
+          let y = a * x * x + b * x + c + rand(-0.3, 0.3);
           // clamp to world vertically
-          y = Math.max(this.world.yMin * 0.9, Math.min(this.world.yMax * 0.9, y));
+          y = Math.max(this.levelBounds.yMin * 0.9, Math.min(this.levelBounds.yMax * 0.9, y));
           this.stars.push({ x, y, collected: false });
         }
       } else if (patternType === 1) {
         // Sinusoidal pattern: y = a*sin(b*x) + c
         const a = amplitude;
-        const b = randRange(0.5, 1.5);
+        const b = rand(0.5, 1.5);
         const c = midY;
         this.beginnerLine = { type: 'sin', a, b, c };
         
         for (let i = 0; i < n; i++) {
           const t = n === 1 ? 0.5 : i / (n - 1);
           let x = xMin + t * (xMax - xMin);
-          x += randRange(-0.2, 0.2);
-          let y = a * Math.sin(b * x) + c + randRange(-0.3, 0.3);
+          x += rand(-0.2, 0.2);
+          let y = a * Math.sin(b * x) + c + rand(-0.3, 0.3);
           // clamp to world vertically
-          y = Math.max(this.world.yMin * 0.9, Math.min(this.world.yMax * 0.9, y));
+          y = Math.max(this.levelBounds.yMin * 0.9, Math.min(this.levelBounds.yMax * 0.9, y));
           this.stars.push({ x, y, collected: false });
         }
       } else {
         // Linear pattern: y = m*x + b (but with more variation)
         const slopes = [-1.5, -1, -0.5, 0.5, 1, 1.5];
-        const m = slopes[Math.floor(Math.random() * slopes.length)];
+        const m = slopes[Math.floor(rng() * slopes.length)];
         const b = midY;
         this.beginnerLine = { type: 'linear', m, b };
         
         for (let i = 0; i < n; i++) {
           const t = n === 1 ? 0.5 : i / (n - 1);
           let x = xMin + t * (xMax - xMin);
-          x += randRange(-0.3, 0.3);
-          let y = m * x + b + randRange(-0.4, 0.4);
+          x += rand(-0.3, 0.3);
+          let y = m * x + b + rand(-0.4, 0.4);
           // clamp to world vertically
-          y = Math.max(this.world.yMin * 0.9, Math.min(this.world.yMax * 0.9, y));
+          y = Math.max(this.levelBounds.yMin * 0.9, Math.min(this.levelBounds.yMax * 0.9, y));
           this.stars.push({ x, y, collected: false });
         }
       }
@@ -131,43 +449,61 @@ export class Game {
       this.dropX = (minStarX + maxStarX) / 2;
       
       // Add some randomness to make it more interesting
-      this.dropX += randRange(-1, 1);
+      this.dropX += rand(-1, 1);
       
       // Ensure it's within bounds
-      this.dropX = Math.max(this.world.xMin + 0.5, Math.min(this.world.xMax - 0.5, this.dropX));
+      this.dropX = Math.max(this.levelBounds.xMin + 0.5, Math.min(this.levelBounds.xMax - 0.5, this.dropX));
       return;
     }
     
-    // Pro or default: random stars with more interesting patterns
-    const usePattern = Math.random() < 0.7; // 70% chance to use a pattern
+    // Pro: random layouts, keeping the first one the solver can clear with a
+    // single curve. Its equation doubles as the level's hint.
+    for (let attempt = 0; attempt < LAYOUT_ATTEMPTS; attempt++) {
+      this.randomLayout(n, rand, rng);
+      this.solution = solveLayout(this.layout());
+      if (this.solution) return;
+    }
+    this.pathLayout(n, rand);
+  }
+
+  // Stars along a hidden curve, in a cluster, or at random, with the dropper
+  // over them
+  randomLayout(n, rand, rng) {
+    this.stars = [];
+    const kind = rng();
+    if (kind < 0.5) {
+      this.curveLayout(n, rand, rng);
+      return;
+    }
+    const usePattern = kind < 0.85; // cluster, otherwise completely random
     
     if (usePattern) {
       // Create a cluster or line of stars
-      const centerX = randRange(this.world.xMin * 0.6, this.world.xMax * 0.6);
-      const centerY = randRange(this.world.yMin * 0.3, this.world.yMax * 0.6);
-      const spread = randRange(1, 3);
+      const centerX = rand(this.levelBounds.xMin * 0.6, this.levelBounds.xMax * 0.6);
+      const centerY = rand(this.levelBounds.yMin * 0.3, this.levelBounds.yMax * 0.6);
+      const spread = rand(1, 3);
       
       for (let i = 0; i < n; i++) {
         const angle = (i / n) * Math.PI * 2; // Circular arrangement
-        const distance = randRange(0.5, spread);
+        const distance = rand(0.5, spread);
         const x = centerX + Math.cos(angle) * distance;
         const y = centerY + Math.sin(angle) * distance;
         // Ensure within bounds
-        if (x > this.world.xMin && x < this.world.xMax && 
-            y > this.world.yMin && y < this.world.yMax) {
+        if (x > this.levelBounds.xMin && x < this.levelBounds.xMax && 
+            y > this.levelBounds.yMin && y < this.levelBounds.yMax) {
           this.stars.push({ x, y, collected: false });
         } else {
           // If out of bounds, create a random star instead
-          const x = randRange(this.world.xMin * 0.8, this.world.xMax * 0.8);
-          const y = randRange(this.world.yMin * 0.2, this.world.yMax * 0.6);
+          const x = rand(this.levelBounds.xMin * 0.8, this.levelBounds.xMax * 0.8);
+          const y = rand(this.levelBounds.yMin * 0.2, this.levelBounds.yMax * 0.6);
           this.stars.push({ x, y, collected: false });
         }
       }
     } else {
       // Completely random stars
       for (let i = 0; i < n; i++) {
-        const x = randRange(this.world.xMin * 0.8, this.world.xMax * 0.8);
-        const y = randRange(this.world.yMin * 0.2, this.world.yMax * 0.6);
+        const x = rand(this.levelBounds.xMin * 0.8, this.levelBounds.xMax * 0.8);
+        const y = rand(this.levelBounds.yMin * 0.2, this.levelBounds.yMax * 0.6);
         this.stars.push({ x, y, collected: false });
       }
     }
@@ -181,17 +517,94 @@ export class Game {
       
       // Set drop position to be slightly offset from the center of stars
       const meanX = this.stars.reduce((a,s)=>a+s.x,0) / this.stars.length;
-      this.dropX = meanX + randRange(-2, 2);
+      this.dropX = meanX + rand(-2, 2);
       
       // Ensure it's within bounds
-      this.dropX = Math.max(this.world.xMin + 0.5, Math.min(this.world.xMax - 0.5, this.dropX));
+      this.dropX = Math.max(this.levelBounds.xMin + 0.5, Math.min(this.levelBounds.xMax - 0.5, this.dropX));
+    }
+  }
+
+  // Stars scattered around a line, valley or wave that isn't shown, with
+  // the dropper over the high end
+  curveLayout(n, rand, rng) {
+    const { xMin, xMax, yMin, yMax } = this.levelBounds;
+    const shape = Math.floor(rng() * 3); // 0: line, 1: valley, 2: wave
+    const m = rand(-0.6, 0.6);
+    const a = shape === 1 ? rand(0.03, 0.12) : 0;
+    const amp = shape === 2 ? rand(0.8, 2) : 0;
+    const k = rand(0.5, 1.2);
+    const c = rand(yMin * 0.3, yMax * 0.3);
+    const f = (x) => m * x + a * x * x + amp * Math.sin(k * x) + c;
+    const left = xMin * 0.8;
+    const right = xMax * 0.8;
+    for (let i = 0; i < n; i++) {
+      const x = left + (i / (n - 1 || 1)) * (right - left) + rand(-0.3, 0.3);
+      const y = f(x) + rand(-0.25, 0.25);
+      this.stars.push({ x, y: Math.max(yMin * 0.9, Math.min(yMax * 0.6, y)), collected: false });
     }
+    this.dropX = f(left) > f(right) ? left : right;
   }
 
-  reset() {
+  // Fallback when no random layout is solvable: a slope running down from
+  // the dropper, with the stars strung along the path a ball dropped onto it
+  // really takes (bounce included). Like any layout it is only kept once the
+  // slope is checked to clear it; if no slope does, the level has no hint.
+  pathLayout(n, rand) {
+    const { xMin, xMax, yMin, yMax } = this.levelBounds;
+    this.solution = null;
+    for (let attempt = 0; attempt < LAYOUT_ATTEMPTS; attempt++) {
+      const dir = rand(0, 1) < 0.5 ? -1 : 1; // which way the ball rolls
+      this.dropX = dir > 0 ? rand(xMin * 0.8, xMin * 0.4) : rand(xMax * 0.4, xMax * 0.8);
+      const run = (dir > 0 ? xMax : xMin) * 0.8 - this.dropX;
+      const top = rand(0, yMax * 0.5); // height of the slope under the dropper
+      const steepest = Math.min(0.6, (top - yMin * 0.8) / Math.abs(run));
+      const round = (v) => Math.round(v * 100) / 100;
+      const m = round(-dir * rand(0.3, 1) * steepest);
+      const c = round(top - m * this.dropX);
+      const equation = formatEquation([[m, 'x'], [c, '']]);
+      const parsed = parseEquationToFunction(equation);
+      const given = this.layout().curves;
+      const curve = { ...parsed, points: sampleEquation(parsed, this.levelBounds) };
+      const path = tracePath(this.dropX, this.dropY, this.gravity, this.levelBounds, [...given, curve], SIM_STEPS);
+      // a star wherever the ball first gets another n-th of the way along
+      this.stars = [];
+      for (let i = 1; i <= n; i++) {
+        const target = this.dropX + run * i / n;
+        const p = path.find(p => (p.x - target) * dir >= 0);
+        if (p) this.stars.push({ x: p.x, y: p.y, collected: false });
+      }
+      if (this.stars.length === n && solves(equation, this.layout())) {
+        this.solution = equation;
+        return;
+      }
+    }
+  }
+
+  // The current board as the solver sees it
+  layout() {
+    return {
+      stars: this.stars,
+      droppers: this.droppers.map(d => ({ x: d.x, y: this.dropperY(d) })),
+      bounds: this.levelBounds,
+      gravity: this.gravity,
+      curves: this.curves.filter(c => c.locked),
+    };
+  }
+
+  // A generated level starts over with a new layout (or the one for `seed`)
+  reset(seed = randomSeed()) {
+    if (this.levelData) {
+      // Replaying an authored level restores its stars and given curves
+      this.loadLevel(this.levelData);
+      return;
+    }
+    this.seed = seed;
     this.balls = [];
     this.curves = [];
+    this.colorCount = 0;
+    this.curvesChanged();
     this.preview = null;
+    this.probe = null;
     this.generateStars(5);
     // reset burst
     this.spawnTimer = 0;
@@ -202,43 +615,259 @@ export class Game {
     this.updateStatus();
   }
 
-  submitEquation(inputStr) {
+  // Play the generated level for a seed from level 1, so everyone who enters
+  // the same seed in the same mode gets the same levels from then on
+  playSeed(seed) {
+    if (this.levelData) return;
+    this.level = 1;
+    this.reset(seed);
+  }
+
+  // Add a curve, or replace the curve with id `id` when editing it in place.
+  // Declarations ("a = 1", "f(x) = ...") update the shared scope instead.
+  // `locked` curves are part of the level: they can't be edited or removed
+  // and don't count against the level's equation limit.
+  submitEquation(inputStr, id = null, options = {}) {
+    const result = this.addEquation(inputStr, id, options);
+    if (result.ok) this.noteInput({ type: 'submit', src: inputStr, id, newId: result.id ?? null });
+    return result;
+  }
+
+  addEquation(inputStr, id, { locked = false }) {
     try {
-      const parsed = parseEquationToFunction(inputStr);
-      let points;
-      if (parsed.type === 'xOfY') {
-        points = sampleCurveY(parsed.f, this.world.yMin, this.world.yMax, 0.05, parsed.cond);
-      } else {
-        points = sampleCurve(parsed.f, this.world.xMin, this.world.xMax, 0.05, parsed.cond);
+      const parsed = parseEquationToFunction(inputStr, this.scope);
+      if (id !== null) return this.replaceCurve(id, inputStr, parsed);
+      if (parsed.type === 'param') {
+        // "a = 0.5" declares (or updates) a slider instead of drawing a curve
+        this.scope.setParam(parsed.name, parsed);
+        this.refreshCurves(parsed.name);
+        this.curvesChanged();
+        return { ok: true, param: parsed.name };
+      }
+      if (parsed.type === 'function') {
+        // "f(x) = ..." defines (or redefines) a helper used by later curves
+        this.scope.setFunction(parsed.name, { ...parsed, src: inputStr });
+        this.refreshDefinitions();
+        this.refreshCurves(parsed.name);
+        this.curvesChanged();
+        return { ok: true, definition: parsed.name };
+      }
+      if (!locked && this.maxEquations !== null && this.playerCurves().length >= this.maxEquations) {
+        const n = this.maxEquations;
+        return { ok: false, error: `This level allows ${n} equation${n === 1 ? '' : 's'}; edit or delete one first` };
       }
-      const color = this.pickCurveColor();
-      this.curves.push({ expr: parsed.expr, f: parsed.f, df: parsed.df, points, color, thickness: 2 });
+      const color = locked ? LOCKED_COLOR : this.pickCurveColor();
+      const newId = this.nextCurveId++;
+      this.curves.push({
+        ...parsed, id: newId, src: inputStr, ...this.samplePoints(parsed), color, thickness: 2, hidden: false, locked,
+        ...surface('normal'),
+      });
+      this.curvesChanged();
       // keep preview but do not force-clear; user may continue typing a new one
-      return { ok: true };
+      return { ok: true, id: newId };
     } catch (e) {
-      return { ok: false, error: e.message };
+      // ParseError carries the character range of the offending token
+      return { ok: false, error: e.message, start: e.start, end: e.end };
+    }
+  }
+
+  // List a player curve that doesn't parse with its error and no points, the
+  // way refreshCurves leaves one whose function was removed. Defining any name
+  // it mentions checks it again. Returns its id, or null when it can't be
+  // added at all.
+  addBrokenCurve(src, error) {
+    if (this.maxEquations !== null && this.playerCurves().length >= this.maxEquations) return null;
+    let deps;
+    try {
+      deps = namesUsed(src, this.scope);
+    } catch (e) {
+      return null;
+    }
+    const id = this.nextCurveId++;
+    this.curves.push({
+      id, src, deps, points: [], grid: null, viewPoints: [], color: this.pickCurveColor(), thickness: 2,
+      hidden: false, locked: false, error, ...surface('normal'),
+    });
+    this.curvesChanged();
+    return id;
+  }
+
+  // Editing keeps the curve's id, colour, visibility and surface
+  replaceCurve(id, inputStr, parsed) {
+    const index = this.curves.findIndex(c => c.id === id);
+    if (index < 0) return { ok: false, error: 'That curve no longer exists' };
+    if (this.curves[index].locked) return { ok: false, error: 'This curve is part of the level' };
+    if (parsed.type === 'param' || parsed.type === 'function') {
+      return { ok: false, error: `${parsed.expr} declares ${parsed.name}; add it as a new entry instead` };
+    }
+    const { color, thickness, hidden } = this.curves[index];
+    this.curves[index] = {
+      ...parsed, id, src: inputStr, ...this.samplePoints(parsed), color, thickness, hidden, locked: false, error: null,
+      ...surface(this.curves[index].surface),
+    };
+    this.curvesChanged();
+    return { ok: true, id };
+  }
+
+  removeCurve(id) {
+    const count = this.curves.length;
+    this.curves = this.curves.filter(c => c.id !== id || c.locked);
+    if (this.curves.length < count) this.noteInput({ type: 'remove', id });
+    this.curvesChanged();
+  }
+
+  // Turn a player curve into a given one or back (used by the level editor)
+  setCurveLocked(id, locked) {
+    const curve = this.curves.find(c => c.id === id);
+    if (!curve || curve.locked === locked) return;
+    curve.locked = locked;
+    curve.hidden = false;
+    curve.color = locked ? LOCKED_COLOR : this.pickCurveColor();
+    this.curvesChanged();
+  }
+
+  // Hidden curves are neither drawn nor collided with
+  setCurveHidden(id, hidden) {
+    const curve = this.curves.find(c => c.id === id);
+    if (!curve || curve.locked) return;
+    curve.hidden = hidden;
+    this.noteInput({ type: 'hide', id, hidden });
+    this.curvesChanged();
+  }
+
+  // What the curve is made of (a key of SURFACES): how balls bounce off and roll along it
+  setCurveSurface(id, name) {
+    const index = this.curves.findIndex(c => c.id === id);
+    if (index < 0 || this.curves[index].locked || !Object.hasOwn(SURFACES, name) || this.curves[index].surface === name) return;
+    // a new object, so anything cached against the old one (the predicted path) is redone
+    this.curves[index] = { ...this.curves[index], ...surface(name) };
+    this.noteInput({ type: 'surface', id, surface: name });
+    this.curvesChanged();
+  }
+
+  visibleCurves() {
+    return this.curves.filter(c => !c.hidden);
+  }
+
+  // Curves the player added, as counted against maxEquations
+  playerCurves() {
+    return this.curves.filter(c => !c.locked);
+  }
+
+  curvesChanged() {
+    if (this.statusEls) this.updateStatus(); // the equation count may have changed
+    if (this.onCurvesChanged) this.onCurvesChanged(this.curves);
+  }
+
+  // Move a slider: every curve reading the parameter is re-sampled
+  setParam(name, value) {
+    if (!this.scope.has(name)) return;
+    this.scope.setValue(name, value);
+    this.noteInput({ type: 'param', name, value });
+    this.refreshCurves(name);
+  }
+
+  // Remove a slider unless a curve or function still uses it
+  removeParam(name) {
+    const user = this.curves.find(c => c.deps?.has(name));
+    if (user) return { ok: false, error: `${name} is still used by ${user.src}` };
+    for (const fn of this.scope.functions.values()) {
+      if (fn.deps.has(name)) return { ok: false, error: `${name} is still used by ${fn.expr}` };
+    }
+    this.scope.deleteParam(name);
+    this.noteInput({ type: 'removeParam', name });
+    return { ok: true };
+  }
+
+  // Delete a function definition. Curves that call it stay in the list with
+  // an error (and no points) until it is defined again; `broken` lists them.
+  removeFunction(name) {
+    if (!this.scope.hasFunction(name)) return { ok: false, error: `${name} is not defined` };
+    this.scope.deleteFunction(name);
+    this.noteInput({ type: 'removeFunction', name });
+    this.refreshDefinitions();
+    this.refreshCurves(name);
+    this.curvesChanged();
+    const broken = this.curves.filter(c => c.deps?.has(name) && c.error).map(c => c.src);
+    return { ok: true, broken };
+  }
+
+  // Re-check every definition after one changes, so each knows what it
+  // depends on and whether it still expands
+  refreshDefinitions() {
+    for (const [name, fn] of this.scope.functions) {
+      try {
+        const parsed = parseEquationToFunction(fn.src, this.scope);
+        this.scope.setFunction(name, { ...parsed, src: fn.src, error: null });
+      } catch (e) {
+        fn.error = e.message;
+      }
     }
   }
 
+  // Re-parse and re-sample curves (and the preview) that depend on `name`,
+  // keeping each curve's colour
+  refreshCurves(name) {
+    this.curves = this.curves.map((curve) => {
+      if (!curve.deps?.has(name)) return curve;
+      try {
+        const parsed = parseEquationToFunction(curve.src, this.scope);
+        return { ...curve, ...parsed, ...this.samplePoints(parsed), error: null };
+      } catch (e) {
+        return { ...curve, points: [], grid: null, viewPoints: [], error: e.message };
+      }
+    });
+    if (this.preview?.deps?.has(name)) this.setPreviewEquation(this.preview.src);
+  }
+
   pickCurveColor() {
     const palette = ['#4ade80', '#f472b6', '#fbbf24', '#60a5fa', '#a78bfa'];
-    return palette[this.curves.length % palette.length];
+    return palette[this.colorCount++ % palette.length];
   }
 
   spawnBall() {
-    const x = this.dropX; // fixed drop location
-    const y = this.world.yMax - 0.5; // top
-    const b = new Ball(x, y, 0.12); // smaller balls
+    // Several droppers take turns
+    const dropper = this.droppers[this.spawned % this.droppers.length];
+    const x = dropper.x;
+    const y = this.dropperY(dropper);
+    const b = new Ball(x, y, BALL_RADIUS);
     b.vx = 0; // drop straight down from the dropper
     b.vy = 0;
     this.balls.push(b);
     this.spawned++;
+    this.stats.balls++;
   }
 
+  // Advance by a frame of dt seconds in fixed physics steps. Time left over
+  // carries to the next frame, and render() draws the balls that far
+  // between their last two positions.
   update(dt) {
+    this.accumulator += Math.min(dt, MAX_FRAME);
+    while (this.accumulator >= STEP) {
+      this.accumulator -= STEP;
+      this.step();
+    }
+  }
+
+  // One physics step: feed in a watched replay's inputs, drop the next ball
+  // of a burst when it's due, move the balls and collect stars
+  step() {
+    if (this.recordPending) this.startRecording();
+    if (this.player) {
+      this.player.applyDue(this);
+      if (this.player.done && this.tick - this.player.startStep >= this.player.replay.steps) {
+        this.player = null;
+        this.updateStatus();
+      }
+    }
+    this.tick++;
+    this.recorder?.stepped();
+    // The clock runs only while balls are in play: reading the level and
+    // typing between bursts are free
+    if (!this.results && (this.launched || this.balls.length)) this.stats.seconds += STEP;
     // spawn balls (only when launched)
     if (this.launched) {
-      this.spawnTimer += dt;
+      this.spawnTimer++;
       if (this.spawned < this.burstTotal && this.spawnTimer >= this.spawnInterval) {
         this.spawnTimer = 0;
         this.spawnBall();
@@ -249,26 +878,21 @@ export class Game {
       }
     }
 
-    // integrate physics
-    updateBalls(this.balls, dt, this.gravity, this.world, this.curves);
-
-    // remove balls that exit world bounds: left, right, bottom, or top
-    const { xMin, xMax, yMin, yMax } = this.world;
-    const pad = 0.0; // cull as soon as they touch/exceed boundary
-    this.balls = this.balls.filter(b => {
-      if (b._oob) return false;
-      const aboveBottom = (b.y + b.r) >= (yMin - pad);
-      const belowTop = (b.y - b.r) <= (yMax + pad);
-      const insideLeft = (b.x + b.r) >= (xMin - pad);
-      const insideRight = (b.x - b.r) <= (xMax + pad);
-      return aboveBottom && belowTop && insideLeft && insideRight;
-    });
+    // integrate physics, dropping balls that leave the level
+    this.balls = stepBalls(this.balls, this.gravity, this.levelBounds, this.visibleCurves());
+    if (this.tick % TRAIL_EVERY === 0) {
+      for (const b of this.balls) {
+        b.trail ??= [];
+        b.trail.push({ x: b.x, y: b.y });
+        if (b.trail.length > TRAIL_POINTS) b.trail.shift();
+      }
+    }
 
     // trim balls that fall too long (prevent perf issues)
     if (this.balls.length > 150) this.balls.splice(0, this.balls.length - 150);
 
     // stars collection
-    const starResult = checkStarCollection(this.balls, this.stars, 0.35);
+    const starResult = checkStarCollection(this.balls, this.stars, STAR_RADIUS);
     this.updateStatus();
     
     // Play sound or show visual feedback when stars are collected
@@ -276,58 +900,187 @@ export class Game {
       this.showStarCollectionFeedback();
     }
 
-    if (starResult.count === this.stars.length && this.stars.length > 0) {
-      // level complete: small pause then new level
-      this.level++;
-      this.generateStars(5 + Math.min(5, this.level));
-      // reset burst for new level
-      this.spawnTimer = 0;
-      this.spawned = 0;
-      this.launched = false; // wait for user to launch again
-      // if beginner, seed a new helper for the new star layout
-      if (this.mode === 'beginner') this.seedBeginnerHelper();
-      
-      // Show level completion message
-      this.showLevelCompletionMessage();
+    const cleared = starResult.count === this.stars.length && this.stars.length > 0;
+    if (cleared && !this.results && this.mode !== 'editor') this.completeLevel();
+  }
+
+  // Record the run that starts now: the board is set up and nothing has moved
+  startRecording() {
+    this.recordPending = false;
+    if (this.mode === 'editor' || this.player || this.balls.length) return;
+    try {
+      this.recorder = new ReplayRecorder(this);
+    } catch (e) {
+      if (!(e instanceof LevelError)) throw e;
+      return; // nothing to record on a board without stars
+    }
+    // A burst launched along with the level drops from the first step
+    if (this.launched) this.recorder.record(this, { type: 'launch', count: this.burstTotal });
+  }
+
+  // An input that changes the run: it goes into the replay being recorded,
+  // and ends a replay being watched, so the viewer can take over from there
+  noteInput(input) {
+    if (this.player && !this.player.applying) {
+      this.player = null;
+      this.updateStatus();
+    }
+    this.recorder?.record(this, input);
+  }
+
+  // Play back a replay (from replay.js parseReplay) in place of the current level
+  watchReplay(replay) {
+    this.hideResults();
+    const player = new ReplayPlayer(replay);
+    player.start(this);
+    this.player = player;
+    this.recordPending = false;
+    this.updateStatus();
+  }
+
+  // The run so far as replay file text, or null if it isn't being recorded
+  replayJSON() {
+    return this.recorder ? JSON.stringify(this.recorder) : null;
+  }
+
+  // Path a ball from each dropper would take with the visible curves and the
+  // one being typed. Recomputed only when those, the droppers or the level
+  // change.
+  ghostPaths() {
+    const curves = this.visibleCurves();
+    if (this.preview?.points && this.preview.type !== 'function') curves.push(this.preview);
+    const inputs = [this.levelBounds, ...this.droppers.flatMap(d => [d.x, this.dropperY(d)]), ...curves];
+    const cached = this.ghost;
+    if (cached && cached.inputs.length === inputs.length && cached.inputs.every((v, i) => v === inputs[i])) {
+      return cached.paths;
     }
+    const paths = this.droppers.map(d => tracePath(d.x, this.dropperY(d), this.gravity, this.levelBounds, curves, GHOST_STEPS));
+    this.ghost = { inputs, paths };
+    return paths;
+  }
+
+  // Balls appear just below the top edge unless the level says otherwise
+  dropperY(dropper) {
+    return dropper.y ?? this.levelBounds.yMax - 0.5;
+  }
+
+  get dropY() {
+    return this.dropperY(this.droppers[0]);
+  }
+
+  // Closest visible curve within maxDist (world units) of (x, y):
+  // { curve, x, y } with the nearest point on it, or null
+  pickCurve(x, y, maxDist) {
+    let best = null;
+    let bestDist = maxDist;
+    for (const curve of this.visibleCurves()) {
+      const pts = curve.viewPoints;
+      for (let i = 0; i < pts.length - 1; i++) {
+        const a = pts[i];
+        const c = pts[i + 1];
+        if (!a || !c) continue;
+        const q = closestPointOnSegment(x, y, a.x, a.y, c.x, c.y);
+        const d = Math.hypot(q.x - x, q.y - y);
+        if (d <= bestDist) { bestDist = d; best = { curve, x: q.x, y: q.y }; }
+      }
+    }
+    return best;
   }
 
   render() {
+    if (this.resampleDue) this.resampleCurves();
     const r = this.renderer;
     r.clear();
     r.drawGrid();
+    r.drawBounds(this.levelBounds);
 
-    for (const curve of this.curves) {
-      r.drawCurve(curve.points, curve.color, 2);
+    // Shaded regions first so every boundary line stays visible on top
+    const curves = this.visibleCurves();
+    for (const curve of curves) {
+      if (curve.region) r.drawRegion(curve.region, curve.color);
+    }
+    if (this.preview?.region) r.drawRegion(this.preview.region, '#93c5fd');
+    for (const curve of curves) {
+      // strict inequalities (< and >) draw their boundary dashed
+      const thickness = curve.id === this.hoverCurveId ? curve.thickness + 2 : curve.thickness;
+      r.drawCurve(curve.viewPoints, curve.color, thickness, !!curve.region?.strict);
+    }
+    if (this.preview?.viewPoints) {
+      r.drawCurve(this.preview.viewPoints, '#93c5fd', 2, true);
     }
-    if (this.preview?.points) {
-      r.drawCurve(this.preview.points, '#93c5fd', 2, true);
+    if (this.showGhost) {
+      for (const path of this.ghostPaths()) r.drawGhostPath(path, BALL_RADIUS);
     }
     // draw dropper marker
-    this.renderer.drawDropper(this.dropX);
+    this.droppers.forEach((d, i) => {
+      const active = this.isMovingDropper && this.activeDropper === i;
+      r.drawDropper(d.x, this.dropperY(d), this.dropperRadius, { active, hover: this.hoverDropper === i });
+    });
     for (const s of this.stars) r.drawStar(s);
-    for (const b of this.balls) r.drawBall(b);
+    // balls drawn part way through the step in progress
+    const t = this.accumulator / STEP;
+    for (const b of this.balls) {
+      const x = b.prevX + (b.x - b.prevX) * t;
+      const y = b.prevY + (b.y - b.prevY) * t;
+      const angle = b.prevAngle + (b.angle - b.prevAngle) * t;
+      if (this.showTrails && b.trail) r.drawTrail([...b.trail, { x, y }]);
+      r.drawBall({ ...b, x, y, angle });
+    }
+    if (this.probe) r.drawProbe(this.probe);
   }
 
   updateStatus() {
     const total = this.stars.length;
     const collected = this.stars.filter(s => s.collected).length;
     if (this.statusEls?.starsStatusEl) this.statusEls.starsStatusEl.textContent = `Stars: ${collected}/${total}`;
-    if (this.statusEls?.levelStatusEl) this.statusEls.levelStatusEl.textContent = `Level ${this.level}`;
+    if (this.statusEls?.levelStatusEl) this.statusEls.levelStatusEl.textContent = this.levelStatusText();
+    if (this.statusEls?.levelHintEl) this.statusEls.levelHintEl.textContent = this.hintText();
+    const seedEl = this.statusEls?.seedInputEl;
+    // Authored levels have no seed; leave the field alone while someone types in it
+    if (seedEl && document.activeElement !== seedEl) {
+      seedEl.disabled = this.levelData !== null;
+      seedEl.value = this.levelData ? '' : String(this.seed);
+    }
+  }
+
+  hintText() {
+    if (this.notice) return this.notice;
+    if (this.levelData) return this.levelData.hint ?? '';
+    return this.solutionShown && this.solution ? `One solution: ${this.solution}` : '';
+  }
+
+  // Reveal the solver's equation for the current generated level, if it has one
+  showSolution() {
+    if (!this.solution || this.levelData) return false;
+    this.solutionShown = true;
+    this.updateStatus();
+    return true;
+  }
+
+  levelStatusText() {
+    if (!this.levelData) return `Level ${this.level}`;
+    let text = this.levelData.name;
+    if (this.player) text = `Replay: ${text}`;
+    if (this.campaign) text = `Level ${this.campaign.index + 1}/${this.campaign.levels.length}: ${text}`;
+    if (this.maxEquations !== null) text += ` · Equations ${this.playerCurves().length}/${this.maxEquations}`;
+    return text;
   }
 
   // Live preview handling
   setPreviewEquation(inputStr) {
     if (!inputStr || !inputStr.trim()) { this.preview = null; return; }
     try {
-      const parsed = parseEquationToFunction(inputStr);
-      let points;
-      if (parsed.type === 'xOfY') {
-        points = sampleCurveY(parsed.f, this.world.yMin, this.world.yMax, 0.05, parsed.cond);
-      } else {
-        points = sampleCurve(parsed.f, this.world.xMin, this.world.xMax, 0.05, parsed.cond);
+      const parsed = parseEquationToFunction(inputStr, this.scope);
+      if (parsed.type === 'param') { this.preview = null; return; }
+      if (parsed.type === 'function') {
+        // Graph one-variable definitions as y = f(x) while they are typed
+        const { xMin, xMax } = this.sampleBounds();
+        const points = parsed.f ? sampleCurve(parsed.f, xMin, xMax) : [];
+        this.preview = { ...parsed, src: inputStr, points, viewPoints: points };
+        return;
       }
-      this.preview = { expr: parsed.expr, f: parsed.f, df: parsed.df, points };
+      // sampled like a curve, so the predicted path matches what it will do
+      this.preview = { ...parsed, src: inputStr, ...this.samplePoints(parsed) };
     } catch (e) {
       // invalid expression => no preview
       this.preview = null;
@@ -340,12 +1093,14 @@ export class Game {
     this.spawned = 0;
     this.spawnTimer = 0;
     this.launched = true;
+    this.noteInput({ type: 'launch', count });
   }
   
   // Move the dropper to a new x position
-  moveDropper(x) {
+  moveDropper(x, index = 0) {
     // Constrain to world bounds with a small margin
-    this.dropX = Math.max(this.world.xMin + 0.5, Math.min(this.world.xMax - 0.5, x));
+    this.droppers[index].x = Math.max(this.levelBounds.xMin + 0.5, Math.min(this.levelBounds.xMax - 0.5, x));
+    this.noteInput({ type: 'dropper', index, x: this.droppers[index].x });
     
     // If we're in beginner mode, we might want to provide feedback
     // about the dropper position relative to the stars
@@ -360,15 +1115,30 @@ export class Game {
 
   // Mode switching
   setMode(mode) {
-    if (mode !== 'beginner' && mode !== 'pro') return null;
+    if (!['beginner', 'pro', 'campaign', 'editor'].includes(mode)) return null;
     this.mode = mode;
+    if (mode === 'campaign') {
+      this.startCampaign();
+      return null;
+    }
+    if (mode === 'editor') {
+      // The level editor (editor.js) takes over the board as it is
+      this.campaign = null;
+      this.hideResults();
+      return null;
+    }
+    if (this.levelData) this.unloadLevel();
     // clear and reseed
     this.balls = [];
     this.curves = [];
+    this.colorCount = 0;
+    this.curvesChanged();
     this.preview = null;
+    this.probe = null;
     this.spawnTimer = 0;
     this.spawned = 0;
     this.launched = false;
+    this.seed = randomSeed();
     this.generateStars(5 + Math.min(5, this.level));
     if (this.mode === 'beginner') {
       return this.seedBeginnerHelper();
@@ -381,8 +1151,7 @@ export class Game {
     if (!this.stars.length) return null;
     // If a beginner target line was chosen during star generation, use it for the helper
     if (this.beginnerLine) {
-      const { m, b } = this.beginnerLine;
-      const eq = `y = ${m.toFixed(2)}x + ${b.toFixed(2)}`;
+      const eq = beginnerEquation(this.beginnerLine);
       this.submitEquation(eq);
       return eq;
     }
@@ -394,7 +1163,7 @@ export class Game {
     let m = (n * sumxy - sumx * sumy) / denom;
     let b = (sumy - m * sumx) / n;
     m = Math.max(-2, Math.min(2, m));
-    b = Math.max(this.world.yMin * 0.8, Math.min(this.world.yMax * 0.8, b));
+    b = Math.max(this.levelBounds.yMin * 0.8, Math.min(this.levelBounds.yMax * 0.8, b));
     const eq = `y = ${m.toFixed(2)}x + ${b.toFixed(2)}`;
     this.submitEquation(eq);
     return eq;
@@ -443,41 +1212,66 @@ export class Game {
     }
   }
   
-  // Show level completion message
-  showLevelCompletionMessage() {
-    // Create a level completion message element
-    const messageContainer = document.createElement('div');
-    messageContainer.style.position = 'absolute';
-    messageContainer.style.top = '50%';
-    messageContainer.style.left = '50%';
-    messageContainer.style.transform = 'translate(-50%, -50%)';
-    messageContainer.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
-    messageContainer.style.color = 'white';
-    messageContainer.style.padding = '20px';
-    messageContainer.style.borderRadius = '10px';
-    messageContainer.style.fontSize = '24px';
-    messageContainer.style.textAlign = 'center';
-    messageContainer.style.zIndex = '1000';
-    messageContainer.style.animation = 'fadeInOut 2s forwards';
-    
-    // Add CSS animation
-    const style = document.createElement('style');
-    style.textContent = `
-      @keyframes fadeInOut {
-        0% { opacity: 0; }
-        20% { opacity: 1; }
-        80% { opacity: 1; }
-        100% { opacity: 0; }
-      }
-    `;
-    document.head.appendChild(style);
-    
-    messageContainer.textContent = `Level ${this.level - 1} Complete! Starting Level ${this.level}`;
-    document.body.appendChild(messageContainer);
-    
-    // Remove the message after animation completes
-    setTimeout(() => {
-      document.body.removeChild(messageContainer);
-    }, 2000);
+  // Results screen over the canvas: score breakdown, medals, and buttons
+  // to retry or move on
+  showResults({ score, medals, lines, best }) {
+    if (this.resultsEl) this.resultsEl.remove();
+    const panel = document.createElement('div');
+    panel.className = 'results';
+    const title = document.createElement('h2');
+    const lastInCampaign = this.campaign && this.campaign.index + 1 >= this.campaign.levels.length;
+    title.textContent = this.levelData ? `${this.levelData.name} complete!` : `Level ${this.level} complete!`;
+    const medalEl = document.createElement('div');
+    medalEl.className = 'medals';
+    medalEl.textContent = '★'.repeat(medals) + '☆'.repeat(3 - medals);
+    medalEl.title = `${medals} of 3 medals`;
+    const table = document.createElement('table');
+    for (const line of lines) {
+      const row = table.insertRow();
+      row.insertCell().textContent = line.label;
+      row.insertCell().textContent = line.value;
+      row.insertCell().textContent = line.points ? String(line.points) : '—';
+    }
+    const total = document.createElement('p');
+    total.className = 'score';
+    total.textContent = `Score: ${score}`;
+    if (best !== null && best !== undefined) total.textContent += score > best ? ` · New best! (was ${best})` : ` · Best: ${best}`;
+    const retryBtn = document.createElement('button');
+    retryBtn.type = 'button';
+    retryBtn.className = 'secondary';
+    retryBtn.textContent = 'Retry';
+    retryBtn.addEventListener('click', () => this.retryLevel());
+    const nextBtn = document.createElement('button');
+    nextBtn.type = 'button';
+    nextBtn.textContent = lastInCampaign ? 'Campaign complete — play again' : 'Next level';
+    nextBtn.addEventListener('click', () => this.advanceLevel());
+    const buttons = document.createElement('div');
+    buttons.className = 'buttons';
+    buttons.append(retryBtn, nextBtn);
+    panel.append(title, medalEl, table, total, buttons);
+    (this.canvas.parentElement ?? document.body).appendChild(panel);
+    this.resultsEl = panel;
+  }
+
+  hideResults() {
+    this.results = null;
+    if (this.resultsEl) this.resultsEl.remove();
+    this.resultsEl = null;
+  }
+}
+
+// Equation text for a beginner star pattern ({ type, ... } from generateStars)
+function beginnerEquation(line) {
+  const n = (v) => v.toFixed(2);
+  switch (line.type) {
+    case 'quadratic': return `y = ${n(line.a)}x^2 + ${n(line.b)}x + ${n(line.c)}`;
+    case 'sin': return `y = ${n(line.a)}sin(${n(line.b)}x) + ${n(line.c)}`;
+    default: return `y = ${n(line.m)}x + ${n(line.b)}`;
   }
 }
+
+// Curve fields for a surface from physics.js SURFACES
+function surface(name) {
+  const { friction, restitution } = SURFACES[name];
+  return { surface: name, friction, restitution };
+}
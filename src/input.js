@@ -0,0 +1,233 @@
+// Pointer input on the canvas: mouse, touch and pen through pointer events
+// - drag a movable dropper along the top edge
+// - hover a curve to highlight it
+// - click to read the world coordinates of a point (snapped onto a curve when
+//   one is under the pointer); clicking the marker again hides it
+// - drag empty space to pan, wheel or pinch to zoom
+// - while the level editor is open, presses and clicks on the board go to it
+
+const HOVER_PX = 8; // how close (canvas pixels) the pointer must be to a curve
+const TOUCH_SLOP_PX = 14; // extra reach for fingers
+const CLICK_PX = 5; // movement that turns a press into a drag instead of a click
+const WHEEL_ZOOM = 0.0015; // zoom per wheel delta unit
+
+export class CanvasInput {
+  constructor(canvas, game, editor = null) {
+    this.canvas = canvas;
+    this.game = game;
+    this.editor = editor;
+    this.press = null; // { id, px, py, lastX, lastY, dragging, editing } for the pointer that is down
+    this.pinch = null; // { ids, dist, mid } while two pointers are down
+    this.pointers = new Map(); // pointer id -> canvas position of each pointer that is down
+
+    canvas.addEventListener('pointerdown', (e) => this.onDown(e));
+    canvas.addEventListener('pointermove', (e) => this.onMove(e));
+    canvas.addEventListener('pointerup', (e) => this.onUp(e));
+    canvas.addEventListener('pointercancel', (e) => this.onCancel(e));
+    canvas.addEventListener('pointerleave', () => this.onLeave());
+    canvas.addEventListener('wheel', (e) => this.onWheel(e), { passive: false });
+  }
+
+  // Client coordinates -> canvas pixels (the canvas may be scaled by CSS and DPR)
+  toCanvas(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    return {
+      x: (e.clientX - rect.left) * (this.canvas.width / rect.width),
+      y: (e.clientY - rect.top) * (this.canvas.height / rect.height),
+    };
+  }
+
+  slop(e) {
+    return e.pointerType === 'touch' ? TOUCH_SLOP_PX : 0;
+  }
+
+  // Index of the movable dropper under canvas pixel p, or null
+  dropperAt(p, e) {
+    const { game } = this;
+    const reach = game.dropperRadius + 4 + this.slop(e);
+    const index = game.droppers.findIndex((d) => {
+      const c = game.world.toPixel(d.x, game.dropperY(d));
+      return d.movable && Math.hypot(p.x - c.x, p.y - c.y) <= reach;
+    });
+    return index < 0 ? null : index;
+  }
+
+  // A distance in canvas pixels as world units at the current zoom
+  toWorldDist(px) {
+    const { world } = this.game;
+    return px * (world.xMax - world.xMin) / world.width;
+  }
+
+  // Curve near canvas pixel p, searched in world units
+  curveNear(p, e) {
+    const w = this.game.world.toWorld(p.x, p.y);
+    return this.game.pickCurve(w.x, w.y, this.toWorldDist(HOVER_PX + this.slop(e)));
+  }
+
+  editing() {
+    return this.editor?.active ?? false;
+  }
+
+  onDown(e) {
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+    const p = this.toCanvas(e);
+    this.pointers.set(e.pointerId, p);
+    if (this.pointers.size === 2 && !this.game.isMovingDropper) {
+      // A second finger turns the gesture into a pinch
+      if (this.press?.editing) this.editor.pointerUp();
+      this.press = null;
+      this.pinch = this.measurePinch();
+      this.canvas.setPointerCapture?.(e.pointerId);
+      e.preventDefault();
+      return;
+    }
+    if (this.press || this.pinch) return;
+    this.press = { id: e.pointerId, px: p.x, py: p.y, lastX: p.x, lastY: p.y, dragging: false, editing: false };
+    const w = this.game.world.toWorld(p.x, p.y);
+    if (this.editing() && this.editor.pointerDown(w.x, w.y, this.toWorldDist(this.game.dropperRadius + 4 + this.slop(e)))) {
+      this.press.editing = true;
+      this.canvas.setPointerCapture?.(e.pointerId);
+      e.preventDefault();
+      return;
+    }
+    const dropper = this.dropperAt(p, e);
+    if (dropper !== null) {
+      this.game.isMovingDropper = true;
+      this.game.activeDropper = dropper;
+      this.press.dragging = true;
+    }
+    this.canvas.setPointerCapture?.(e.pointerId);
+    e.preventDefault();
+  }
+
+  onMove(e) {
+    const p = this.toCanvas(e);
+    const { game } = this;
+    if (this.pointers.has(e.pointerId)) this.pointers.set(e.pointerId, p);
+    if (this.pinch) {
+      if (this.pinch.ids.includes(e.pointerId)) this.updatePinch();
+      return;
+    }
+    if (this.press && this.press.id === e.pointerId) {
+      const { press } = this;
+      if (press.editing) {
+        const w = game.world.toWorld(p.x, p.y);
+        this.editor.pointerMove(w.x, w.y);
+        return;
+      }
+      if (game.isMovingDropper) {
+        game.moveDropper(game.world.toWorld(p.x, p.y).x, game.activeDropper);
+        return;
+      }
+      if (!press.dragging && Math.hypot(p.x - press.px, p.y - press.py) > CLICK_PX) {
+        press.dragging = true;
+        this.canvas.style.cursor = 'grabbing';
+      }
+      if (press.dragging) {
+        game.world.panBy(p.x - press.lastX, p.y - press.lastY);
+        game.viewChanged();
+        press.lastX = p.x;
+        press.lastY = p.y;
+      }
+      return;
+    }
+    if (this.press) return;
+    // Hover feedback only while no button is held
+    game.hoverDropper = this.dropperAt(p, e);
+    const hit = game.hoverDropper !== null ? null : this.curveNear(p, e);
+    game.hoverCurveId = hit ? hit.curve.id : null;
+    this.canvas.style.cursor = game.hoverDropper !== null ? 'grab' : hit ? 'pointer' : 'crosshair';
+  }
+
+  onUp(e) {
+    this.pointers.delete(e.pointerId);
+    if (this.pinch) {
+      // Lifting either finger ends the pinch; the other does nothing until lifted
+      if (this.pointers.size === 0) this.pinch = null;
+      return;
+    }
+    if (!this.press || this.press.id !== e.pointerId) return;
+    const { dragging, editing } = this.press;
+    this.press = null;
+    this.canvas.releasePointerCapture?.(e.pointerId);
+    if (editing) {
+      this.editor.pointerUp();
+      return;
+    }
+    if (this.game.isMovingDropper) {
+      this.game.isMovingDropper = false;
+      return;
+    }
+    if (dragging) this.canvas.style.cursor = 'crosshair';
+    else this.click(this.toCanvas(e), e);
+  }
+
+  onCancel(e) {
+    this.pointers.delete(e.pointerId);
+    if (this.pointers.size === 0) this.pinch = null;
+    if (!this.press || this.press.id !== e.pointerId) return;
+    if (this.press.editing) this.editor.pointerUp();
+    this.press = null;
+    this.game.isMovingDropper = false;
+  }
+
+  onLeave() {
+    if (this.press) return;
+    this.game.hoverDropper = null;
+    this.game.hoverCurveId = null;
+  }
+
+  onWheel(e) {
+    e.preventDefault();
+    const p = this.toCanvas(e);
+    // deltaMode 1 reports lines rather than pixels
+    const delta = e.deltaY * (e.deltaMode === 1 ? 16 : 1);
+    this.game.world.zoomAt(p.x, p.y, Math.exp(-delta * WHEEL_ZOOM));
+    this.game.viewChanged();
+  }
+
+  measurePinch() {
+    const [[idA, a], [idB, b]] = [...this.pointers];
+    return {
+      ids: [idA, idB],
+      dist: Math.hypot(a.x - b.x, a.y - b.y),
+      mid: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 },
+    };
+  }
+
+  // Zoom by the change in finger spread around their midpoint, and pan by
+  // how far the midpoint moved
+  updatePinch() {
+    if (this.pointers.size < 2) return;
+    const prev = this.pinch;
+    const next = this.measurePinch();
+    const { world } = this.game;
+    world.panBy(next.mid.x - prev.mid.x, next.mid.y - prev.mid.y);
+    if (prev.dist > 0 && next.dist > 0) world.zoomAt(next.mid.x, next.mid.y, next.dist / prev.dist);
+    this.game.viewChanged();
+    this.pinch = next;
+  }
+
+  click(p, e) {
+    const { game } = this;
+    if (this.editing()) {
+      const w = game.world.toWorld(p.x, p.y);
+      if (this.editor.click(w.x, w.y, this.toWorldDist(game.dropperRadius + 4 + this.slop(e)))) return;
+    }
+    // Clicking the current marker hides it
+    if (game.probe) {
+      const m = game.world.toPixel(game.probe.x, game.probe.y);
+      if (Math.hypot(p.x - m.x, p.y - m.y) <= 6 + this.slop(e)) {
+        game.probe = null;
+        return;
+      }
+    }
+    const hit = this.curveNear(p, e);
+    if (hit) {
+      game.probe = { x: hit.x, y: hit.y, color: hit.curve.color };
+    } else {
+      const w = game.world.toWorld(p.x, p.y);
+      game.probe = { x: w.x, y: w.y };
+    }
+  }
+}
@@ -0,0 +1,163 @@
+// Hand-authored levels: the JSON level format, its validation, and the
+// bundled campaign pack.
+//
+// A level is plain JSON:
+// {
+//   "name": "Slide",                                  // shown in the status bar
+//   "bounds": { "xMin": -12, "xMax": 12, "yMin": -8, "yMax": 8 },
+//   "droppers": [{ "x": -8 }],                        // optional "y" (default: 0.5 below the top)
+//                                                     // and "movable": true to let players drag it
+//   "stars": [{ "x": -5, "y": 3.2 }],
+//   "allowedFunctions": ["sin", "cos"],               // optional; omitted means every function
+//   "maxEquations": 1,                                // optional cap on player curves
+//   "givenCurves": ["y = -x - 4 {x > 2}"],           // optional curves placed by the author; players can't edit them
+//   "hint": "A straight line is enough"               // optional
+// }
+import { FUNCTIONS } from './expression.js';
+
+export class LevelError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LevelError';
+  }
+}
+
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+
+function requireNumber(obj, key, where) {
+  if (!isNumber(obj?.[key])) throw new LevelError(`${where}.${key} must be a number`);
+  return obj[key];
+}
+
+// Check a parsed JSON level and return a clean copy with defaults filled in.
+// Throws LevelError naming the first field that is wrong.
+export function normalizeLevel(data) {
+  if (!data || typeof data !== 'object') throw new LevelError('A level must be a JSON object');
+  const name = typeof data.name === 'string' && data.name.trim() ? data.name.trim() : 'Untitled level';
+
+  const b = data.bounds;
+  const bounds = {
+    xMin: requireNumber(b, 'xMin', 'bounds'), xMax: requireNumber(b, 'xMax', 'bounds'),
+    yMin: requireNumber(b, 'yMin', 'bounds'), yMax: requireNumber(b, 'yMax', 'bounds'),
+  };
+  if (bounds.xMin >= bounds.xMax || bounds.yMin >= bounds.yMax) {
+    throw new LevelError('bounds must have xMin < xMax and yMin < yMax');
+  }
+  const inside = (x, y) => x >= bounds.xMin && x <= bounds.xMax && y >= bounds.yMin && y <= bounds.yMax;
+
+  if (!Array.isArray(data.droppers) || !data.droppers.length) throw new LevelError('droppers must list at least one dropper');
+  const droppers = data.droppers.map((d, i) => {
+    const x = requireNumber(d, 'x', `droppers[${i}]`);
+    const y = d.y === undefined ? bounds.yMax - 0.5 : requireNumber(d, 'y', `droppers[${i}]`);
+    if (!inside(x, y)) throw new LevelError(`droppers[${i}] is outside the bounds`);
+    return { x, y, movable: d.movable === true };
+  });
+
+  if (!Array.isArray(data.stars) || !data.stars.length) throw new LevelError('stars must list at least one star');
+  const stars = data.stars.map((s, i) => {
+    const x = requireNumber(s, 'x', `stars[${i}]`);
+    const y = requireNumber(s, 'y', `stars[${i}]`);
+    if (!inside(x, y)) throw new LevelError(`stars[${i}] is outside the bounds`);
+    return { x, y };
+  });
+
+  let allowedFunctions = null;
+  if (data.allowedFunctions !== undefined && data.allowedFunctions !== null) {
+    if (!Array.isArray(data.allowedFunctions)) throw new LevelError('allowedFunctions must be a list of function names');
+    for (const fn of data.allowedFunctions) {
+      if (!(fn in FUNCTIONS)) throw new LevelError(`allowedFunctions: unknown function ${fn}`);
+    }
+    allowedFunctions = [...data.allowedFunctions];
+  }
+
+  let maxEquations = null;
+  if (data.maxEquations !== undefined && data.maxEquations !== null) {
+    if (!Number.isInteger(data.maxEquations) || data.maxEquations < 1) {
+      throw new LevelError('maxEquations must be a whole number of at least 1');
+    }
+    maxEquations = data.maxEquations;
+  }
+
+  const givenCurves = data.givenCurves ?? [];
+  if (!Array.isArray(givenCurves) || givenCurves.some(c => typeof c !== 'string')) {
+    throw new LevelError('givenCurves must be a list of equations');
+  }
+
+  const level = { name, bounds, droppers, stars, allowedFunctions, maxEquations, givenCurves: [...givenCurves] };
+  if (typeof data.hint === 'string' && data.hint.trim()) level.hint = data.hint.trim();
+  return level;
+}
+
+// Parse level JSON text, reporting syntax errors as LevelError too
+export function parseLevel(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new LevelError(`Not valid JSON: ${e.message}`);
+  }
+  return normalizeLevel(data);
+}
+
+// The bundled campaign, easiest first. Each level notes the solution it was
+// built around, checked to collect every star with collectsAll (solver.js);
+// re-check them whenever the physics or a level changes.
+const BOUNDS = { xMin: -12, xMax: 12, yMin: -8, yMax: 8 };
+
+export const LEVELS = [
+  {
+    name: 'Slide', // solution: y = -0.5x + 1
+    bounds: BOUNDS,
+    droppers: [{ x: -9 }],
+    stars: [{ x: -6, y: 4.2 }, { x: -2, y: 2.2 }, { x: 2, y: 0.2 }, { x: 6, y: -1.8 }],
+    allowedFunctions: [],
+    maxEquations: 2,
+    hint: 'A straight line sloping down to the right',
+  },
+  {
+    name: 'Valley', // solution: y = 0.1x^2 - 5
+    bounds: BOUNDS,
+    droppers: [{ x: -9 }],
+    stars: [{ x: -6.1, y: -1.1 }, { x: 0, y: -4.9 }, { x: 5.2, y: -2.1 }],
+    allowedFunctions: [],
+    maxEquations: 1,
+    hint: 'Try a parabola, y = a·x² + c',
+  },
+  {
+    name: 'Catch', // solution: y = 0.05(x - 4)^2 - 4 {x > -3}
+    bounds: BOUNDS,
+    droppers: [{ x: -9 }],
+    stars: [{ x: -6, y: 5.1 }, { x: 5, y: -3.8 }, { x: 8.5, y: -2.9 }],
+    allowedFunctions: [],
+    maxEquations: 1,
+    givenCurves: ['y = -0.5x + 2 {x < -3}'],
+    hint: 'The ramp is fixed; catch the ball where it lands',
+  },
+  {
+    name: 'Two drops', // solution: y = 0.06x^2 - 4
+    bounds: BOUNDS,
+    droppers: [{ x: -8 }, { x: 8 }],
+    stars: [{ x: -7.1, y: -0.9 }, { x: 0, y: -3.9 }, { x: 6.9, y: -1 }],
+    allowedFunctions: [],
+    maxEquations: 1,
+    hint: 'One curve has to serve both droppers',
+  },
+  {
+    name: 'Bowl', // solution: x^2 + y^2 = 25 {y < 0}
+    bounds: BOUNDS,
+    droppers: [{ x: -3.5 }],
+    stars: [{ x: -2.1, y: -4.7 }, { x: 0, y: -5.1 }, { x: 3.9, y: -3.4 }, { x: 4.7, y: -2 }],
+    allowedFunctions: [],
+    maxEquations: 1,
+    hint: 'Half of a circle, x² + y² = r² {y < 0}',
+  },
+  {
+    name: 'Waves', // solution: y = sin(x) - 0.35x - 1.5
+    bounds: BOUNDS,
+    droppers: [{ x: -10 }],
+    stars: [{ x: -4.9, y: 1.6 }, { x: -0.6, y: -1.3 }, { x: 1.6, y: -0.3 }, { x: 8.9, y: -3 }],
+    allowedFunctions: ['sin', 'cos'],
+    maxEquations: 1,
+    hint: 'Add a sine wave to a downhill line',
+  },
+].map(normalizeLevel);
@@ -1,15 +1,56 @@
 import { Game } from './game.js';
+import { CanvasInput } from './input.js';
+import { LevelEditor } from './editor.js';
+import { STEP, SURFACES } from './physics.js';
+import { saveProgress, loadProgress } from './storage.js';
+import { encodeScene, decodeScene, hasScene } from './share.js';
+import { LevelError } from './levels.js';
+import { parseReplay, ReplayError } from './replay.js';
 
 const canvas = document.getElementById('game-canvas');
 const starsStatusEl = document.getElementById('stars-status');
 const levelStatusEl = document.getElementById('level-status');
+const levelHintEl = document.getElementById('level-hint');
+const seedForm = document.getElementById('seed-form');
+const seedInputEl = document.getElementById('seed-input');
 const equationForm = document.getElementById('equation-form');
 const equationInput = document.getElementById('equation-input');
 const resetBtn = document.getElementById('reset-btn');
 const launchBtn = document.getElementById('launch-btn');
+const fitBtn = document.getElementById('fit-btn');
+const hintBtn = document.getElementById('hint-btn');
+const shareBtn = document.getElementById('share-btn');
+const trailsToggle = document.getElementById('trails-toggle');
+const predictToggle = document.getElementById('predict-toggle');
+const saveReplayBtn = document.getElementById('save-replay-btn');
+const replayInput = document.getElementById('replay-input');
 const levelSelect = document.getElementById('level-select');
+const derivativeEl = document.getElementById('derivative-display');
+const slidersEl = document.getElementById('sliders');
+const definitionsEl = document.getElementById('definitions');
+const equationListEl = document.getElementById('equation-list');
 
-const game = new Game(canvas, { starsStatusEl, levelStatusEl });
+const game = new Game(canvas, { starsStatusEl, levelStatusEl, levelHintEl, seedInputEl });
+const editor = new LevelEditor(game, {
+  panel: document.getElementById('editor-panel'),
+  tool: document.getElementById('editor-tool'),
+  name: document.getElementById('editor-name'),
+  maxEquations: document.getElementById('editor-max'),
+  allowed: document.getElementById('editor-allowed'),
+  hint: document.getElementById('editor-hint'),
+  movable: document.getElementById('editor-movable'),
+  message: document.getElementById('editor-message'),
+  playBtn: document.getElementById('editor-play'),
+  boundsBtn: document.getElementById('editor-bounds'),
+  exportBtn: document.getElementById('editor-export'),
+  importInput: document.getElementById('editor-import'),
+});
+game.onCurvesChanged = () => {
+  renderEquationList();
+  editor.sync(); // given curves are part of the draft level
+};
+renderEquationList();
+new CanvasInput(canvas, game, editor);
 
 function onResize() {
   // Keep canvas pixel size in sync with CSS size for crisp rendering
@@ -30,19 +71,37 @@ onResize();
 initializeModeFromUI();
 function initializeModeFromUI() {
   if (!levelSelect) return;
+  if (editor.active) editor.close();
   const eq = game.setMode(levelSelect.value);
+  if (levelSelect.value === 'editor') {
+    editor.open();
+    renderEquationList(); // adds the Lock buttons
+  }
   if (eq) {
     equationInput.value = eq;
-    game.setPreviewEquation(eq);
+    updatePreview(eq);
     // Ensure the helper line is actually drawn
     if (game.curves.length === 0) {
       game.submitEquation(eq);
     }
   } else {
     equationInput.value = '';
-    game.setPreviewEquation('');
+    updatePreview('');
   }
 }
+
+// Preview the typed equation and show its exact derivative underneath
+function updatePreview(value) {
+  game.setPreviewEquation(value);
+  if (!derivativeEl) return;
+  const p = game.preview;
+  if (!p) { derivativeEl.textContent = ''; return; }
+  if (!p.dexpr) { derivativeEl.textContent = ''; return; }
+  const label = p.type === 'function'
+    ? `${p.name}'(${p.params[0]})`
+    : { xOfY: "g'(y)", parametric: "(x'(t), y'(t))", polar: "r'(θ)", implicit: 'dy/dx' }[p.type] || "f'(x)";
+  derivativeEl.textContent = `${label} = ${p.dexpr}`;
+}
 levelSelect?.addEventListener('change', () => {
   initializeModeFromUI();
 });
@@ -55,26 +114,29 @@ function EquationFormHandler() {
     const value = (equationInput.value || '').trim();
     if (!value) return;
     
-    // Basic validation before submitting
-    if (!value.includes('=')) {
-      showEquationError('Equation must include an equals sign (=)');
+    // Basic validation before submitting (parametric points need no '=')
+    if (!/[=<>]/.test(value) && !value.startsWith('(')) {
+      showEquationError('Equation must include an equals sign (=) or an inequality (<, >)');
       return;
     }
     
     const result = game.submitEquation(value);
     if (!result.ok) {
-      showEquationError(result.error);
+      showEquationError(result.error, value, result.start, result.end);
     } else {
+      if (result.param) renderSliders();
+      if (result.definition) renderDefinitions();
       equationInput.value = '';
       // After submitting, keep preview empty until user starts typing again
-      game.setPreviewEquation('');
+      updatePreview('');
       // Show success feedback
       showSuccessFeedback();
     }
   });
   
-  // Helper function to show equation errors
-  function showEquationError(message) {
+  // Helper function to show equation errors; when the parser reports a
+  // character range, underline that token and select it in the input
+  function showEquationError(message, source = '', start, end) {
     equationInput.classList.add('error');
     equationInput.title = message;
     
@@ -89,6 +151,18 @@ function EquationFormHandler() {
       equationForm.appendChild(errorMsg);
     }
     errorMsg.textContent = message;
+    if (Number.isInteger(start) && source) {
+      const excerpt = document.createElement('code');
+      excerpt.className = 'error-excerpt';
+      const bad = document.createElement('mark');
+      // A blank mark points at the end of input when something is missing
+      bad.textContent = source.slice(start, end) || ' ';
+      excerpt.append(source.slice(0, start), bad, source.slice(end));
+      errorMsg.append(' ', excerpt);
+      const lead = equationInput.value.length - equationInput.value.trimStart().length;
+      equationInput.focus();
+      equationInput.setSelectionRange(lead + start, lead + Math.min(end, source.length));
+    }
     
     // Clear error after delay
     setTimeout(() => { 
@@ -115,15 +189,193 @@ function EquationFormHandler() {
 
   // Live preview while typing
   equationInput.addEventListener('input', () => {
-    const value = equationInput.value;
-    game.setPreviewEquation(value);
+    updatePreview(equationInput.value);
   });
 }
 
+// UI: one slider per declared parameter; moving it re-samples dependent curves
+function renderSliders() {
+  if (!slidersEl) return;
+  slidersEl.textContent = '';
+  for (const [name, param] of game.scope.params) {
+    const row = document.createElement('label');
+    row.className = 'slider';
+    const nameEl = document.createElement('span');
+    nameEl.className = 'name';
+    nameEl.textContent = name;
+    const input = document.createElement('input');
+    input.type = 'range';
+    input.min = String(param.min);
+    input.max = String(param.max);
+    input.step = String(param.step);
+    input.value = String(param.value);
+    const output = document.createElement('output');
+    output.textContent = formatSliderValue(param.value);
+    input.addEventListener('input', () => {
+      const v = parseFloat(input.value);
+      game.setParam(name, v);
+      output.textContent = formatSliderValue(v);
+    });
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'secondary';
+    removeBtn.textContent = '×';
+    removeBtn.title = `Remove ${name}`;
+    removeBtn.addEventListener('click', (e) => {
+      e.preventDefault();
+      const result = game.removeParam(name);
+      if (result.ok) renderSliders();
+      else output.textContent = result.error;
+    });
+    row.append(nameEl, input, output, removeBtn);
+    slidersEl.appendChild(row);
+  }
+}
+
+// UI: defined functions with a remove button; definitions that no longer
+// expand (e.g. they call a deleted function) show why
+function renderDefinitions() {
+  if (!definitionsEl) return;
+  definitionsEl.textContent = '';
+  for (const [name, fn] of game.scope.functions) {
+    const row = document.createElement('div');
+    row.className = 'definition';
+    const code = document.createElement('code');
+    code.textContent = fn.expr;
+    row.appendChild(code);
+    if (fn.error) {
+      const err = document.createElement('span');
+      err.className = 'error';
+      err.textContent = fn.error;
+      row.appendChild(err);
+    }
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'secondary';
+    removeBtn.textContent = '×';
+    removeBtn.title = `Remove ${name}`;
+    removeBtn.addEventListener('click', () => {
+      const result = game.removeFunction(name);
+      if (!result.ok) return;
+      renderDefinitions();
+      if (result.broken.length) {
+        const note = document.createElement('div');
+        note.className = 'error';
+        note.textContent = `${name} is not defined any more, so these curves show an error and stop blocking balls until it is defined again: ${result.broken.join(', ')}`;
+        definitionsEl.appendChild(note);
+      }
+    });
+    row.appendChild(removeBtn);
+    definitionsEl.appendChild(row);
+  }
+}
+
+// UI: one row per curve with its colour, editable text, show/hide and
+// delete. Edits go back through game.submitEquation like a new entry.
+function renderEquationList() {
+  if (!equationListEl) return;
+  equationListEl.textContent = '';
+  for (const curve of game.curves) {
+    const row = document.createElement('div');
+    row.className = curve.hidden ? 'equation hidden' : 'equation';
+    if (curve.locked) row.classList.add('locked');
+    const swatch = document.createElement('span');
+    swatch.className = 'swatch';
+    swatch.style.background = curve.color;
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = curve.src;
+    input.spellcheck = false;
+    if (curve.locked) {
+      // Given by the level: shown for reference only, unless editing the level
+      input.readOnly = true;
+      input.title = 'Part of the level';
+      row.append(swatch, input);
+      if (editor.active) row.appendChild(lockButton(curve, 'Unlock', 'Let players edit this curve again'));
+      equationListEl.appendChild(row);
+      continue;
+    }
+    if (curve.error) {
+      input.classList.add('error');
+      input.title = curve.error;
+    }
+    // Enter or leaving the field commits; Escape restores the saved text
+    input.addEventListener('change', () => {
+      const value = input.value.trim();
+      if (!value || value === curve.src) { input.value = curve.src; return; }
+      const result = game.submitEquation(value, curve.id);
+      if (!result.ok) {
+        input.classList.add('error');
+        input.title = result.error;
+      }
+    });
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') { input.value = curve.src; input.blur(); }
+    });
+    const toggleBtn = document.createElement('button');
+    toggleBtn.type = 'button';
+    toggleBtn.className = 'secondary';
+    toggleBtn.textContent = curve.hidden ? 'Show' : 'Hide';
+    toggleBtn.addEventListener('click', () => game.setCurveHidden(curve.id, !curve.hidden));
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'secondary';
+    removeBtn.textContent = '×';
+    removeBtn.title = 'Delete this curve';
+    removeBtn.addEventListener('click', () => game.removeCurve(curve.id));
+    // What the curve is made of: how balls bounce off and roll along it
+    const surfaceSelect = document.createElement('select');
+    surfaceSelect.title = 'Surface';
+    for (const [name, { label }] of Object.entries(SURFACES)) surfaceSelect.add(new Option(label, name));
+    surfaceSelect.value = curve.surface;
+    surfaceSelect.addEventListener('change', () => game.setCurveSurface(curve.id, surfaceSelect.value));
+    row.append(swatch, input, surfaceSelect, toggleBtn, removeBtn);
+    if (editor.active) row.appendChild(lockButton(curve, 'Lock', 'Make this curve part of the level'));
+    if (curve.error) {
+      const err = document.createElement('div');
+      err.className = 'error';
+      err.textContent = curve.error;
+      row.appendChild(err);
+    }
+    equationListEl.appendChild(row);
+  }
+}
+
+// Level editor: turn a curve into a given curve of the level or back
+function lockButton(curve, label, title) {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = 'secondary';
+  btn.textContent = label;
+  btn.title = title;
+  btn.addEventListener('click', () => game.setCurveLocked(curve.id, !curve.locked));
+  return btn;
+}
+
+function formatSliderValue(v) {
+  return String(parseFloat(v.toFixed(3)));
+}
+
 // UI: reset
 resetBtn.addEventListener('click', () => {
   game.reset();
-  game.setPreviewEquation('');
+  updatePreview('');
+});
+
+// UI: replay the generated levels for an entered seed
+seedForm?.addEventListener('submit', (e) => {
+  e.preventDefault();
+  const value = seedInputEl.value.trim();
+  if (!/^\d{1,9}$/.test(value)) {
+    seedInputEl.classList.add('error');
+    seedInputEl.title = 'A seed is a whole number, like 4821';
+    return;
+  }
+  seedInputEl.classList.remove('error');
+  seedInputEl.title = '';
+  seedInputEl.blur();
+  game.playSeed(parseInt(value, 10));
+  updatePreview('');
 });
 
 // UI: launch balls on demand
@@ -132,14 +384,156 @@ launchBtn.addEventListener('click', () => {
   launchBtn.disabled = true;
   game.launchBurst(20);
   // Re-enable after a short delay longer than total burst time
-  const totalMs = (20 * game.spawnInterval + 0.2) * 1000;
+  const totalMs = (20 * game.spawnInterval * STEP + 0.2) * 1000;
   setTimeout(() => { launchBtn.disabled = false; }, totalMs);
 });
 
+// UI: undo any panning and zooming
+fitBtn?.addEventListener('click', () => game.fitLevel());
+
+// UI: reveal a known solution for generated pro levels
+// (beginner levels come with a helper curve, campaign levels show their own hint)
+hintBtn?.addEventListener('click', () => game.showSolution());
+
+// UI: overlays for ball trails and the predicted path of the next ball
+trailsToggle?.addEventListener('change', () => { game.showTrails = trailsToggle.checked; });
+predictToggle?.addEventListener('change', () => { game.showGhost = predictToggle.checked; });
+
+// UI: copy a link that opens this exact board, curves and all
+shareBtn?.addEventListener('click', () => {
+  let hash;
+  try {
+    hash = encodeScene(game.sceneState());
+  } catch (e) {
+    if (!(e instanceof LevelError)) throw e;
+    flashShareButton("Can't share yet", e.message);
+    return;
+  }
+  history.replaceState(null, '', hash);
+  const url = location.href;
+  if (!navigator.clipboard) {
+    flashShareButton('Link in address bar', url);
+    return;
+  }
+  navigator.clipboard.writeText(url).then(
+    () => flashShareButton('Link copied', url),
+    () => flashShareButton('Link in address bar', url),
+  );
+});
+function flashShareButton(text, title) {
+  shareBtn.textContent = text;
+  shareBtn.title = title;
+  setTimeout(() => {
+    shareBtn.textContent = 'Share';
+    shareBtn.title = 'Copy a link to this level and your curves';
+  }, 2000);
+}
+
+// UI: save the current run as a replay file, or watch one. Replays start
+// when a level starts (or is retried).
+saveReplayBtn?.addEventListener('click', () => {
+  const json = game.replayJSON();
+  if (json === null) {
+    game.notice = 'Nothing to save yet: replays record from the start of a level';
+    return;
+  }
+  const blob = new Blob([json + '\n'], { type: 'application/json' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `replay-${game.levelKey().toLowerCase().replace(/[^a-z0-9]+/g, '-')}.json`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+});
+replayInput?.addEventListener('change', () => {
+  const file = replayInput.files[0];
+  replayInput.value = ''; // choosing the same file again should replay it again
+  if (!file) return;
+  file.text().then((text) => {
+    try {
+      game.watchReplay(parseReplay(text));
+    } catch (e) {
+      if (!(e instanceof ReplayError || e instanceof LevelError)) throw e;
+      game.notice = `Couldn't play the replay: ${e.message}`;
+      return;
+    }
+    equationInput.value = '';
+    updatePreview('');
+    renderSliders();
+    renderDefinitions();
+  });
+});
+
+// Saved progress: offer to pick up the last game, and save whenever the page
+// is hidden or closed. Nothing is saved until the offer is answered, so an
+// unanswered prompt can't overwrite the save it offers.
+const continuePrompt = document.getElementById('continue-prompt');
+let saving = false;
+if (!openSharedScene()) offerToContinue();
+
+// A shared link opens its scene instead of offering the saved game, which
+// stays saved (with its best scores) until another game is played
+function openSharedScene() {
+  if (!hasScene(location.hash)) return false;
+  try {
+    game.loadScene(decodeScene(location.hash));
+  } catch (e) {
+    if (!(e instanceof LevelError)) throw e;
+    game.notice = `Couldn't open the shared level: ${e.message}`;
+    return false;
+  }
+  const save = loadProgress();
+  if (save) game.bestScores = { ...save.state.bestScores };
+  equationInput.value = '';
+  updatePreview('');
+  renderSliders();
+  renderDefinitions();
+  saving = true;
+  return true;
+}
+
+function offerToContinue() {
+  const save = loadProgress();
+  if (!save || !continuePrompt) {
+    saving = true;
+    return;
+  }
+  const { mode, level, seed, campaignIndex } = save.state;
+  const where = mode === 'campaign'
+    ? `Campaign · level ${campaignIndex + 1}`
+    : `${mode === 'pro' ? 'Pro' : 'Beginner'} · level ${level} · seed ${seed}`;
+  document.getElementById('continue-text').textContent = `Continue where you left off? (${where})`;
+  continuePrompt.hidden = false;
+  document.getElementById('continue-btn').addEventListener('click', () => {
+    continuePrompt.hidden = true;
+    game.restoreState(save.state);
+    levelSelect.value = game.mode;
+    equationInput.value = '';
+    updatePreview('');
+    renderSliders();
+    renderDefinitions();
+    saving = true;
+  });
+  document.getElementById('start-over-btn').addEventListener('click', () => {
+    // A fresh game, but best scores are kept
+    continuePrompt.hidden = true;
+    game.bestScores = { ...save.state.bestScores };
+    saving = true;
+  });
+}
+function saveNow() {
+  // Authored levels outside the campaign (shared scenes, editor drafts) live
+  // in their links and level files, not in the save
+  if (saving && !(game.levelData && !game.campaign)) saveProgress(game.saveState());
+}
+document.addEventListener('visibilitychange', () => {
+  if (document.visibilityState === 'hidden') saveNow();
+});
+window.addEventListener('pagehide', saveNow);
+
 // Game loop
 let last = performance.now();
 function frame(now) {
-  const dt = Math.min(0.033, (now - last) / 1000);
+  const dt = (now - last) / 1000; // Game steps the physics at a fixed rate
   last = now;
   game.update(dt);
   game.render();
@@ -150,5 +544,6 @@ requestAnimationFrame(frame);
 // Add instructions about draggable dropper
 const instructionsElement = document.getElementById('instructions');
 if (instructionsElement) {
-  instructionsElement.innerHTML += '<p><strong>Tip:</strong> You can drag the blue circle at the bottom to change where balls drop from!</p>';
+  instructionsElement.innerHTML += '<p><strong>Tip:</strong> You can drag the blue circle at the top to change where balls drop from!</p>';
+  instructionsElement.innerHTML += '<p><strong>Tip:</strong> Scroll or pinch to zoom and drag the grid to pan; Fit level brings the whole level back.</p>';
 }
@@ -1,6 +1,34 @@
-// Physics: balls, gravity, collisions with polyline curves
+// Physics: balls, gravity, collisions with polyline curves.
+// The simulation always advances in fixed steps of STEP seconds, whatever the
+// frame rate, so the same curves and drops play out the same way in the game,
+// the solver and replays. That holds within one JavaScript engine: curves are
+// sampled with Math.sin, Math.exp and the like, which engines may round
+// differently, so a replay watched in another browser can drift. Distances
+// use Math.sqrt, which is exactly rounded, rather than Math.hypot, which isn't.
+//
+// Fast balls never pass through a curve: a step is split into substeps of at
+// most a ball's width of travel, and each move is swept against the curves so
+// it stops where the ball first touches one. Curves carrying a `grid`
+// (spatial.js) only have the segments near the ball tested.
 import { clamp, closestPointOnSegment, normalize } from './utils.js';
 
+export const STEP = 1 / 60; // seconds per physics step
+export const GRAVITY = -20; // world units/s², negative since world-y points up; strong, for a quick fall
+export const BALL_RADIUS = 0.12; // balls dropped by the game
+export const STAR_RADIUS = 0.35; // how close a ball's edge must come to a star to collect it
+const BOUNCE_SPEED = 2; // slower hits than this settle onto the curve instead of bouncing
+const MAX_SUBSTEPS = 8; // per step; moves beyond this are still swept, just in longer pieces
+
+// How curves treat balls: `friction` is the share of rolling speed lost per
+// second, `restitution` how much of the speed into the curve a hard hit
+// bounces back. Curves without their own values behave as 'normal'.
+export const SURFACES = {
+  normal: { label: 'Normal', friction: 0.3, restitution: 0.3 },
+  ice: { label: 'Ice', friction: 0, restitution: 0.1 },
+  rubber: { label: 'Rubber', friction: 0.3, restitution: 0.8 },
+  sticky: { label: 'Sticky', friction: 3, restitution: 0 },
+};
+
 export class Ball {
   constructor(x, y, radius = 0.2) {
     this.x = x;
@@ -8,15 +36,43 @@ export class Ball {
     this.vx = 0;
     this.vy = 0;
     this.r = radius;
+    this.prevX = x; // position before the last step, for drawing between steps
+    this.prevY = y;
+    this.angle = 0; // how far the ball has turned (radians, anticlockwise), for drawing
+    this.prevAngle = 0;
+    this.spin = 0; // radians per second
     this.collected = false; // for potential future use per-ball
   }
 }
 
+// Advance balls one STEP and return those still inside the bounds (a ball
+// leaves as soon as its edge crosses any side)
+export function stepBalls(balls, gravity, bounds, curves) {
+  updateBalls(balls, STEP, gravity, bounds, curves);
+  const { xMin, xMax, yMin, yMax } = bounds;
+  return balls.filter(b => !b._oob &&
+    b.y + b.r >= yMin && b.y - b.r <= yMax &&
+    b.x + b.r >= xMin && b.x - b.r <= xMax);
+}
+
+// Path of one ball dropped from (x, y): where it is after each step, until it
+// leaves the bounds or `steps` run out
+export function tracePath(x, y, gravity, bounds, curves, steps) {
+  let balls = [new Ball(x, y, BALL_RADIUS)];
+  const path = [{ x, y }];
+  for (let i = 0; i < steps && balls.length; i++) {
+    balls = stepBalls(balls, gravity, bounds, curves);
+    if (balls.length) path.push({ x: balls[0].x, y: balls[0].y });
+  }
+  return path;
+}
+
 export function updateBalls(balls, dt, gravity, bounds, curves) {
   // bounds: {xMin,xMax,yMin,yMax}
   for (const b of balls) {
-    // apply gravity to velocity (free fall default)
-    b.vy += gravity * dt;
+    b.prevX = b.x;
+    b.prevY = b.y;
+    b.prevAngle = b.angle;
 
     // world bounds (horizontal): allow pass-through; removal handled in game.update()
     // (no horizontal wall bounce)
@@ -35,74 +91,256 @@ export function updateBalls(balls, dt, gravity, bounds, curves) {
       continue; // skip further processing this step
     }
 
-    // Sliding along curves: find closest segment within contact range
-    let best = null; // { a,c,q,dist,tx,ty,nx,ny }
-    for (const curve of curves) {
-      const pts = curve.points;
-      for (let i = 0; i < pts.length - 1; i++) {
-        const a = pts[i];
-        const c = pts[i + 1];
-        if (!a || !c) continue;
-        // broad-phase AABB
-        const minx = Math.min(a.x, c.x) - b.r - 0.05;
-        const maxx = Math.max(a.x, c.x) + b.r + 0.05;
-        const miny = Math.min(a.y, c.y) - b.r - 0.05;
-        const maxy = Math.max(a.y, c.y) + b.r + 0.05;
-        if (b.x < minx || b.x > maxx || b.y < miny || b.y > maxy) continue;
-
-        const q = closestPointOnSegment(b.x, b.y, a.x, a.y, c.x, c.y);
-        const dx = b.x - q.x;
-        const dy = b.y - q.y;
-        const dist = Math.hypot(dx, dy);
-        if (dist <= b.r + 0.02) {
-          const sx = c.x - a.x, sy = c.y - a.y;
-          const tnorm = normalize(sx, sy);
-          // normal direction from surface toward ball
-          let nx, ny;
-          const guessN = normalize(-tnorm.y, tnorm.x);
-          if (dx * guessN.x + dy * guessN.y >= 0) { nx = guessN.x; ny = guessN.y; }
-          else { nx = -guessN.x; ny = -guessN.y; }
-          best = { a, c, q, dist, tx: tnorm.x, ty: tnorm.y, nx, ny };
-        }
+    // Substeps of at most a ball's width of travel each
+    const speed = Math.sqrt(b.vx * b.vx + b.vy * b.vy) + Math.abs(gravity) * dt;
+    const substeps = clamp(Math.ceil(speed * dt / (2 * b.r)), 1, MAX_SUBSTEPS);
+    for (let i = 0; i < substeps; i++) substep(b, dt / substeps, gravity, curves);
+  }
+}
+
+// Advance one ball by dt: gravity, then bounce, slide or fly depending on the
+// curve it touches
+function substep(b, dt, gravity, curves) {
+  // apply gravity to velocity (free fall default)
+  b.vy += gravity * dt;
+
+  // Sliding along curves: find closest segment within contact range
+  let best = null; // { curve,q,dist,tx,ty,nx,ny }
+  // broad-phase AABB around the ball
+  const reach = b.r + 0.05;
+  const xMin = b.x - reach, xMax = b.x + reach;
+  const yMin = b.y - reach, yMax = b.y + reach;
+  for (const curve of curves) {
+    const pts = curve.points;
+    const near = curve.grid?.query(xMin, xMax, yMin, yMax);
+    const count = near ? near.length : pts.length - 1;
+    for (let k = 0; k < count; k++) {
+      const i = near ? near[k] : k;
+      const a = pts[i];
+      const c = pts[i + 1];
+      if (!a || !c) continue;
+      if ((a.x < xMin && c.x < xMin) || (a.x > xMax && c.x > xMax) ||
+          (a.y < yMin && c.y < yMin) || (a.y > yMax && c.y > yMax)) continue;
+
+      const q = closestPointOnSegment(b.x, b.y, a.x, a.y, c.x, c.y);
+      const dx = b.x - q.x;
+      const dy = b.y - q.y;
+      const dist = Math.sqrt(dx * dx + dy * dy);
+      if (dist <= b.r + 0.02 && (!best || dist < best.dist)) {
+        const tnorm = tangentAt(curve, a, c, q);
+        // normal direction from surface toward ball (moves are swept, so the
+        // centre never crosses to the other side)
+        let nx, ny;
+        const guessN = normalize(-tnorm.y, tnorm.x);
+        if (dx * guessN.x + dy * guessN.y >= 0) { nx = guessN.x; ny = guessN.y; }
+        else { nx = -guessN.x; ny = -guessN.y; }
+        best = { curve, q, dist, tx: tnorm.x, ty: tnorm.y, nx, ny };
       }
     }
+  }
 
-    if (best) {
-      // Constrain ball to surface and slide
-      const { q, nx, ny, tx, ty, dist } = best;
-      // Snap to just above surface
-      const penetration = (b.r - dist) + 1e-4;
-      if (penetration > 0) {
-        b.x += nx * penetration;
-        b.y += ny * penetration;
-      } else {
-        // place on surface rim if slightly outside
-        b.x = q.x + nx * (b.r + 1e-4);
-        b.y = q.y + ny * (b.r + 1e-4);
-      }
+  // Speed into (< 0) or away from (> 0) the touched curve
+  const vn = best ? b.vx * best.nx + b.vy * best.ny : 0;
 
-      // Decompose velocity into tangent/normal
-      const vt = b.vx * tx + b.vy * ty;
-      // normal component is discarded (no bounce)
-      // Apply tangential acceleration due to gravity
-      const gx = 0, gy = gravity; // gravity vector in world
-      const gt = gx * tx + gy * ty;
-      let newVt = vt + gt * dt;
-      // friction
-      newVt *= 0.995;
-      // reconstruct velocity along tangent only
-      b.vx = newVt * tx;
-      b.vy = newVt * ty;
-
-      // integrate along surface
-      b.x += b.vx * dt;
-      b.y += b.vy * dt;
+  if (best && vn > 0 && best.dist > b.r) {
+    // Moving away from the curve: gravity alone decides whether it comes
+    // back, so a ball too fast for a hilltop's curvature flies off it
+    advance(b, dt, curves);
+  } else if (best && vn < -BOUNCE_SPEED) {
+    // Hard hit: bounce back part of the speed into the curve, keep the rest
+    const { nx, ny, dist } = best;
+    if (dist < b.r) {
+      b.x += nx * (b.r - dist + 1e-4);
+      b.y += ny * (b.r - dist + 1e-4);
+    }
+    const j = (1 + (best.curve.restitution ?? SURFACES.normal.restitution)) * vn;
+    b.vx -= j * nx;
+    b.vy -= j * ny;
+    advance(b, dt, curves);
+  } else if (best) {
+    // Constrain ball to surface and slide
+    const { q, nx, ny, tx, ty, dist } = best;
+    // Snap to just above surface
+    const penetration = (b.r - dist) + 1e-4;
+    if (penetration > 0) {
+      b.x += nx * penetration;
+      b.y += ny * penetration;
     } else {
-      // free integrate when not on any surface
-      b.x += b.vx * dt;
-      b.y += b.vy * dt;
+      // place on surface rim if slightly outside
+      b.x = q.x + nx * (b.r + 1e-4);
+      b.y = q.y + ny * (b.r + 1e-4);
     }
+
+    // Decompose velocity into tangent/normal
+    const vt = b.vx * tx + b.vy * ty;
+    // a soft landing: the normal component is discarded
+    // Apply tangential acceleration due to gravity
+    const gx = 0, gy = gravity; // gravity vector in world
+    const gt = gx * tx + gy * ty;
+    let newVt = vt + gt * dt;
+    // friction (linear in dt rather than a power, which rounds differently between engines)
+    newVt *= Math.max(0, 1 - (best.curve.friction ?? SURFACES.normal.friction) * dt);
+    // reconstruct velocity along tangent only
+    b.vx = newVt * tx;
+    b.vy = newVt * ty;
+    // rolling without slipping turns the ball by its speed over its radius
+    b.spin = (nx * b.vy - ny * b.vx) / b.r;
+
+    // integrate along surface
+    advance(b, dt, curves, best.curve);
+  } else {
+    // free integrate when not on any surface
+    advance(b, dt, curves);
+  }
+
+  // Solid inequality regions: a ball that ends up inside is pushed back out
+  for (const curve of curves) {
+    if (curve.region && curve.region.inside(b.x, b.y)) pushOutOfRegion(b, curve);
+  }
+  b.angle += b.spin * dt;
+}
+
+// Nearest point to the ball on the curve, or null. With a grid, boxes around
+// the ball double in size until one holds a point nearer than its edge, as
+// nothing outside the box can be nearer than that.
+function nearestPoint(b, curve) {
+  const grid = curve.grid;
+  for (let h = 2 * b.r; grid; h *= 2) {
+    const near = grid.query(b.x - h, b.x + h, b.y - h, b.y + h);
+    const best = nearestOf(b, curve.points, near);
+    if (best && best.dist <= h) return best.q;
+    const g = grid.bounds;
+    if (b.x - h <= g.xMin && b.x + h >= g.xMax && b.y - h <= g.yMin && b.y + h >= g.yMax) return best?.q ?? null;
+  }
+  return nearestOf(b, curve.points, null)?.q ?? null;
+}
+
+// Nearest point to the ball on the segments `indices` of pts (all of them
+// when null): { q, dist }, or null
+function nearestOf(b, pts, indices) {
+  let best = null;
+  const count = indices ? indices.length : pts.length - 1;
+  for (let k = 0; k < count; k++) {
+    const i = indices ? indices[k] : k;
+    const a = pts[i];
+    const c = pts[i + 1];
+    if (!a || !c) continue;
+    const q = closestPointOnSegment(b.x, b.y, a.x, a.y, c.x, c.y);
+    const dist = Math.sqrt((q.x - b.x) ** 2 + (q.y - b.y) ** 2);
+    if (!best || dist < best.dist) best = { q, dist };
+  }
+  return best;
+}
+
+// Move the ball along its velocity for dt, stopping short where it first
+// touches a curve; the next substep's contact test then bounces or lands it
+// there. A ball rolling along `rolling` dips into it wherever it bends up
+// (which the contact test corrects), so that curve only stops it half way in.
+function advance(b, dt, curves, rolling = null) {
+  const mx = b.vx * dt;
+  const my = b.vy * dt;
+  // box around the whole move, for the broad phase
+  const xMin = Math.min(b.x, b.x + mx) - b.r;
+  const xMax = Math.max(b.x, b.x + mx) + b.r;
+  const yMin = Math.min(b.y, b.y + my) - b.r;
+  const yMax = Math.max(b.y, b.y + my) + b.r;
+  let hit = 1;
+  for (const curve of curves) {
+    const r = curve === rolling ? b.r / 2 : b.r;
+    const pts = curve.points;
+    const near = curve.grid?.query(xMin, xMax, yMin, yMax);
+    const count = near ? near.length : pts.length - 1;
+    for (let k = 0; k < count; k++) {
+      const i = near ? near[k] : k;
+      const a = pts[i];
+      const c = pts[i + 1];
+      if (!a || !c) continue;
+      if ((a.x < xMin && c.x < xMin) || (a.x > xMax && c.x > xMax) ||
+          (a.y < yMin && c.y < yMin) || (a.y > yMax && c.y > yMax)) continue;
+      const t = sweepSegment(b.x, b.y, mx, my, r, a, c);
+      if (t !== null && t < hit) hit = t;
+    }
+  }
+  b.x += mx * hit;
+  b.y += my * hit;
+}
+
+// Fraction (0-1) of the move (x, y) -> (x + mx, y + my) at which a circle of
+// radius r first touches segment a-c, or null if it doesn't. A circle that
+// already overlaps the segment is stopped half way to it instead, so its
+// centre still can't cross.
+function sweepSegment(x, y, mx, my, r, a, c) {
+  let hit = null;
+  // the flat sides: distance to the segment's line falls to r
+  const ex = c.x - a.x;
+  const ey = c.y - a.y;
+  const len2 = ex * ex + ey * ey;
+  if (len2 > 0) {
+    const len = Math.sqrt(len2);
+    let d = ((x - a.x) * -ey + (y - a.y) * ex) / len;
+    let dm = (mx * -ey + my * ex) / len;
+    if (d < 0) { d = -d; dm = -dm; }
+    const reach = Math.min(r, d / 2);
+    if (dm < 0 && d + dm < reach) {
+      const t = (d - reach) / -dm;
+      const s = ((x + mx * t - a.x) * ex + (y + my * t - a.y) * ey) / len2;
+      if (s >= 0 && s <= 1) hit = t;
+    }
+  }
+  // the rounded ends: distance to an endpoint falls to r
+  const m2 = mx * mx + my * my;
+  if (m2 === 0) return hit;
+  for (const p of [a, c]) {
+    const px = x - p.x;
+    const py = y - p.y;
+    const k = px * mx + py * my;
+    if (k >= 0) continue; // moving away
+    const d2 = px * px + py * py;
+    const c2 = d2 - Math.min(r * r, d2 / 4);
+    const disc = k * k - m2 * c2;
+    if (disc < 0) continue;
+    const t = (-k - Math.sqrt(disc)) / m2;
+    if (t <= 1 && (hit === null || t < hit)) hit = t;
+  }
+  return hit;
+}
+
+// Move the ball to just outside the nearest boundary point of a region and
+// drop any velocity heading back into it (bouncing it off a hard hit)
+function pushOutOfRegion(b, curve) {
+  const best = nearestPoint(b, curve);
+  if (!best) return;
+  const n = normalize(best.x - b.x, best.y - b.y); // points out of the region
+  if (n.x === 0 && n.y === 0) return;
+  b.x = best.x + n.x * (b.r + 1e-4);
+  b.y = best.y + n.y * (b.r + 1e-4);
+  const vn = b.vx * n.x + b.vy * n.y;
+  if (vn < 0) {
+    const restitution = vn < -BOUNCE_SPEED ? curve.restitution ?? SURFACES.normal.restitution : 0;
+    b.vx -= (1 + restitution) * vn * n.x;
+    b.vy -= (1 + restitution) * vn * n.y;
+  }
+}
+
+// Unit tangent at contact point q on segment a -> c. Uses the curve's exact
+// derivative when it has one and falls back to the segment direction otherwise.
+function tangentAt(curve, a, c, q) {
+  let dx = NaN, dy = NaN;
+  if (curve.dfx) {
+    // parametric and polar: interpolate the parameter stored on the sampled points
+    const t = a.t + (c.t - a.t) * q.t;
+    dx = curve.dfx(t);
+    dy = curve.dfy(t);
+  } else if (curve.type === 'yOfX' && curve.df) {
+    dx = 1; dy = curve.df(q.x);
+  } else if (curve.type === 'xOfY' && curve.df) {
+    dx = curve.df(q.y); dy = 1;
+  } else if (curve.type === 'implicit' && curve.dFdx) {
+    // level curves run perpendicular to the gradient of F
+    dx = curve.dFdy(q.x, q.y); dy = -curve.dFdx(q.x, q.y);
   }
+  if (!Number.isFinite(dx) || !Number.isFinite(dy) || (dx === 0 && dy === 0)) return normalize(c.x - a.x, c.y - a.y);
+  return normalize(dx, dy);
 }
 
 export function checkStarCollection(balls, stars, radius = 0.3) {
@@ -116,7 +354,7 @@ export function checkStarCollection(balls, stars, radius = 0.3) {
     }
     
     for (const b of balls) {
-      const d = Math.hypot(b.x - s.x, b.y - s.y);
+      const d = Math.sqrt((b.x - s.x) ** 2 + (b.y - s.y) ** 2);
       if (d <= (b.r + radius)) {
         // Star wasn't collected before but is now
         if (!s.collected) {
@@ -1,11 +1,16 @@
-// Rendering: grid, axes, balls, stars, curves
-import { World } from './utils.js';
+// Rendering: grid, axes, balls, stars, curves, shaded regions
+import { clamp } from './utils.js';
+
+const REGION_CELL = 4; // canvas pixels per inside/outside sample when shading regions
+const REGION_ALPHA = 70; // 0-255
+const GRID_MIN_PX = 50; // closest spacing between grid lines
 
 export class Renderer {
   constructor(canvas, world) {
     this.canvas = canvas;
     this.ctx = canvas.getContext('2d');
     this.world = world;
+    this.regionCache = new WeakMap(); // region -> { key, image }
   }
 
   clear() {
@@ -21,9 +26,12 @@ export class Renderer {
     ctx.fillStyle = '#0b1520';
     ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
 
-    // grid lines
+    // grid lines, spaced so neighbours stay at least GRID_MIN_PX apart
+    const step = gridStep(GRID_MIN_PX * (xMax - xMin) / this.canvas.width);
+    const xs = gridValues(xMin, xMax, step);
+    const ys = gridValues(yMin, yMax, step);
     ctx.lineWidth = 1;
-    for (let x = Math.ceil(xMin); x <= Math.floor(xMax); x++) {
+    for (const x of xs) {
       const p0 = world.toPixel(x, yMin);
       const p1 = world.toPixel(x, yMax);
       ctx.strokeStyle = x === 0 ? '#ffffff' : '#1e3954';
@@ -32,7 +40,7 @@ export class Renderer {
       ctx.lineTo(p1.x, p1.y);
       ctx.stroke();
     }
-    for (let y = Math.ceil(yMin); y <= Math.floor(yMax); y++) {
+    for (const y of ys) {
       const p0 = world.toPixel(xMin, y);
       const p1 = world.toPixel(xMax, y);
       ctx.strokeStyle = y === 0 ? '#ffffff' : '#1e3954';
@@ -42,19 +50,35 @@ export class Renderer {
       ctx.stroke();
     }
 
-    // axis labels (simple)
+    // axis labels, kept on screen along the nearest edge when an axis is off view
     ctx.fillStyle = '#b6c6e3';
     ctx.font = '12px system-ui, Arial';
-    for (let x = Math.ceil(xMin); x <= Math.floor(xMax); x++) {
-      const p = world.toPixel(x, 0);
-      ctx.fillText(String(x), p.x + 2, p.y - 2);
+    const axis = world.toPixel(0, 0);
+    const labelY = clamp(axis.y, 14, this.canvas.height - 4);
+    const labelX = clamp(axis.x, 0, this.canvas.width - 40);
+    for (const x of xs) {
+      if (x === 0) continue;
+      ctx.fillText(formatGridValue(x, step), world.toPixel(x, 0).x + 2, labelY - 2);
     }
-    for (let y = Math.ceil(yMin); y <= Math.floor(yMax); y++) {
-      const p = world.toPixel(0, y);
-      ctx.fillText(String(y), p.x + 4, p.y - 2);
+    for (const y of ys) {
+      ctx.fillText(formatGridValue(y, step), labelX + 4, world.toPixel(0, y).y - 2);
     }
   }
 
+  // Outline of the playable area, shown once the view no longer matches it
+  drawBounds(bounds) {
+    const { ctx, world } = this;
+    const a = world.toPixel(bounds.xMin, bounds.yMax);
+    const b = world.toPixel(bounds.xMax, bounds.yMin);
+    if (a.x <= 1 && a.y <= 1 && b.x >= this.canvas.width - 1 && b.y >= this.canvas.height - 1) return;
+    ctx.save();
+    ctx.strokeStyle = 'rgba(147, 197, 253, 0.5)';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([6, 4]);
+    ctx.strokeRect(a.x, a.y, b.x - a.x, b.y - a.y);
+    ctx.restore();
+  }
+
   drawCurve(points, color = '#4ade80', thickness = 2, dashed = false) {
     const { ctx, world } = this;
     ctx.strokeStyle = color;
@@ -72,12 +96,50 @@ export class Renderer {
     if (dashed) ctx.setLineDash([]);
   }
 
-  drawBeginnerLine() {
-    if (!this.game.beginnerLine) return;
+  // Shade the inside of an inequality region. The inside test is sampled on a
+  // coarse pixel grid into an offscreen canvas that is reused until the view,
+  // canvas size or colour changes, then scaled up smoothly.
+  drawRegion(region, color) {
+    const { ctx, world, canvas } = this;
+    const w = Math.ceil(canvas.width / REGION_CELL);
+    const h = Math.ceil(canvas.height / REGION_CELL);
+    const key = [world.xMin, world.xMax, world.yMin, world.yMax, w, h, color].join();
+    let cached = this.regionCache.get(region);
+    if (!cached || cached.key !== key) {
+      const image = document.createElement('canvas');
+      image.width = w;
+      image.height = h;
+      const ictx = image.getContext('2d');
+      const data = ictx.createImageData(w, h);
+      const [r, g, b] = hexToRgb(color);
+      for (let j = 0; j < h; j++) {
+        for (let i = 0; i < w; i++) {
+          const p = world.toWorld((i + 0.5) * REGION_CELL, (j + 0.5) * REGION_CELL);
+          let inside = false;
+          try { inside = region.inside(p.x, p.y); } catch { inside = false; }
+          if (!inside) continue;
+          const k = (j * w + i) * 4;
+          data.data[k] = r;
+          data.data[k + 1] = g;
+          data.data[k + 2] = b;
+          data.data[k + 3] = REGION_ALPHA;
+        }
+      }
+      ictx.putImageData(data, 0, 0);
+      cached = { key, image };
+      this.regionCache.set(region, cached);
+    }
+    ctx.save();
+    ctx.imageSmoothingEnabled = true;
+    ctx.drawImage(cached.image, 0, 0, w * REGION_CELL, h * REGION_CELL);
+    ctx.restore();
+  }
+
+  drawBeginnerLine(line) {
+    if (!line) return;
     
-    const xMin = this.game.world.xMin;
-    const xMax = this.game.world.xMax;
-    const { type } = this.game.beginnerLine;
+    const { xMin, xMax } = this.world;
+    const { type } = line;
     
     // Draw a dashed line based on the pattern type
     this.ctx.save();
@@ -96,17 +158,17 @@ export class Renderer {
       let y;
       
       if (type === 'linear') {
-        const { m, b } = this.game.beginnerLine;
+        const { m, b } = line;
         y = m * x + b;
       } else if (type === 'quadratic') {
-        const { a, b, c } = this.game.beginnerLine;
+        const { a, b, c } = line;
         y = a * x * x + b * x + c;
       } else if (type === 'sin') {
-        const { a, b, c } = this.game.beginnerLine;
+        const { a, b, c } = line;
         y = a * Math.sin(b * x) + c;
       }
       
-      const [pixelX, pixelY] = this.world.worldToPixel(x, y);
+      const { x: pixelX, y: pixelY } = this.world.toPixel(x, y);
       
       if (firstPoint) {
         this.ctx.moveTo(pixelX, pixelY);
@@ -130,6 +192,49 @@ export class Renderer {
     this.ctx.restore();
   }
 
+  // Where a ball has been, fading out towards its oldest point
+  drawTrail(points, color = '#60a5fa') {
+    const { ctx, world } = this;
+    ctx.save();
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    ctx.lineCap = 'round';
+    for (let i = 1; i < points.length; i++) {
+      const a = world.toPixel(points[i - 1].x, points[i - 1].y);
+      const b = world.toPixel(points[i].x, points[i].y);
+      ctx.globalAlpha = 0.5 * i / points.length;
+      ctx.beginPath();
+      ctx.moveTo(a.x, a.y);
+      ctx.lineTo(b.x, b.y);
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+
+  // Predicted path of a ball that hasn't been dropped yet, with an outline of
+  // the ball where the prediction ends
+  drawGhostPath(points, radius) {
+    if (points.length < 2) return;
+    const { ctx, world } = this;
+    ctx.save();
+    ctx.strokeStyle = 'rgba(232, 241, 255, 0.55)';
+    ctx.lineWidth = 1.5;
+    ctx.setLineDash([2, 5]);
+    ctx.beginPath();
+    points.forEach((pt, i) => {
+      const p = world.toPixel(pt.x, pt.y);
+      if (i === 0) ctx.moveTo(p.x, p.y); else ctx.lineTo(p.x, p.y);
+    });
+    ctx.stroke();
+    const end = points[points.length - 1];
+    const p = world.toPixel(end.x, end.y);
+    ctx.setLineDash([]);
+    ctx.beginPath();
+    ctx.arc(p.x, p.y, radius * (this.canvas.width / (world.xMax - world.xMin)), 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.restore();
+  }
+
   drawBall(ball, color = '#60a5fa') {
     const { ctx, world } = this;
     const p = world.toPixel(ball.x, ball.y);
@@ -138,6 +243,12 @@ export class Renderer {
     ctx.beginPath();
     ctx.arc(p.x, p.y, r, 0, Math.PI * 2);
     ctx.fill();
+    // a spot on the ball that turns with it (canvas y points down)
+    const angle = ball.angle ?? 0;
+    ctx.fillStyle = '#1e3a8a';
+    ctx.beginPath();
+    ctx.arc(p.x + r * 0.55 * Math.cos(angle), p.y - r * 0.55 * Math.sin(angle), r * 0.2, 0, Math.PI * 2);
+    ctx.fill();
     // small highlight
     ctx.fillStyle = '#cfe3ff';
     ctx.beginPath();
@@ -199,54 +310,110 @@ export class Renderer {
     ctx.globalAlpha = 1.0; // Reset alpha
   }
 
-  drawDropper() {
-    const [x, y] = this.world.worldToPixel(this.game.dropX, this.world.yMax);
-    
-    // Draw the dropper with a handle to indicate it's draggable
-    this.ctx.save();
-    
+  // Ball dropper at world (dropX, dropY), radius in canvas pixels
+  drawDropper(dropX, dropY, radius, { active = false, hover = false } = {}) {
+    const { ctx, world } = this;
+    const { x, y } = world.toPixel(dropX, dropY);
+    ctx.save();
+
     // Draw a vertical line from top to the dropper
-    this.ctx.beginPath();
-    this.ctx.strokeStyle = 'rgba(100, 100, 100, 0.5)';
-    this.ctx.setLineDash([3, 3]);
-    this.ctx.moveTo(x, 0);
-    this.ctx.lineTo(x, y);
-    this.ctx.stroke();
-    
+    ctx.beginPath();
+    ctx.strokeStyle = 'rgba(100, 100, 100, 0.5)';
+    ctx.setLineDash([3, 3]);
+    ctx.moveTo(x, 0);
+    ctx.lineTo(x, y);
+    ctx.stroke();
+
     // Draw the dropper circle
-    this.ctx.beginPath();
-    this.ctx.setLineDash([]);
-    
+    ctx.beginPath();
+    ctx.setLineDash([]);
+
     // Use a different color when being moved
-    if (this.game.isMovingDropper) {
-      this.ctx.fillStyle = '#f59e0b'; // Amber color when active
-      this.ctx.strokeStyle = '#d97706';
+    if (active) {
+      ctx.fillStyle = '#f59e0b'; // Amber color when active
+      ctx.strokeStyle = '#d97706';
     } else {
-      this.ctx.fillStyle = '#60a5fa'; // Blue color when inactive
-      this.ctx.strokeStyle = '#3b82f6';
+      ctx.fillStyle = '#60a5fa'; // Blue color when inactive
+      ctx.strokeStyle = hover ? '#e8f1ff' : '#3b82f6';
     }
-    
-    this.ctx.lineWidth = 2;
-    this.ctx.arc(x, y, this.game.dropperRadius, 0, Math.PI * 2);
-    this.ctx.fill();
-    this.ctx.stroke();
-    
+
+    ctx.lineWidth = 2;
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+
     // Draw a grip handle to indicate draggability
-    this.ctx.beginPath();
-    this.ctx.strokeStyle = 'white';
-    this.ctx.lineWidth = 2;
-    this.ctx.moveTo(x - 4, y);
-    this.ctx.lineTo(x + 4, y);
-    this.ctx.moveTo(x, y - 4);
-    this.ctx.lineTo(x, y + 4);
-    this.ctx.stroke();
-    
-    // Add tooltip text
-    this.ctx.font = '12px Arial';
-    this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
-    this.ctx.textAlign = 'center';
-    this.ctx.fillText('Drag to move', x, y - 15);
-    
-    this.ctx.restore();
+    ctx.beginPath();
+    ctx.strokeStyle = 'white';
+    ctx.lineWidth = 2;
+    ctx.moveTo(x - 4, y);
+    ctx.lineTo(x + 4, y);
+    ctx.moveTo(x, y - 4);
+    ctx.lineTo(x, y + 4);
+    ctx.stroke();
+
+    // Tooltip beside the handle while the pointer is over it
+    if (hover && !active) {
+      ctx.font = '12px Arial';
+      ctx.fillStyle = '#e8f1ff';
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'middle';
+      ctx.fillText('Drag to move', x + radius + 6, y);
+    }
+
+    ctx.restore();
+  }
+
+  // Marker for a point the player clicked, labelled with its coordinates
+  drawProbe(probe) {
+    const { ctx, world } = this;
+    const { x, y } = world.toPixel(probe.x, probe.y);
+    const label = `(${formatCoord(probe.x)}, ${formatCoord(probe.y)})`;
+    ctx.save();
+    ctx.fillStyle = probe.color || '#e8f1ff';
+    ctx.beginPath();
+    ctx.arc(x, y, 4, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.font = '12px system-ui, Arial';
+    const w = ctx.measureText(label).width + 8;
+    // keep the label on the canvas near the right and top edges
+    const lx = x + 8 + w > this.canvas.width ? x - 8 - w : x + 8;
+    const ly = y - 24 < 0 ? y + 6 : y - 24;
+    ctx.fillStyle = 'rgba(11, 21, 32, 0.85)';
+    ctx.fillRect(lx, ly, w, 18);
+    ctx.fillStyle = '#e8f1ff';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(label, lx + 4, ly + 9);
+    ctx.restore();
   }
 }
+
+function formatCoord(v) {
+  return String(parseFloat(v.toFixed(2)));
+}
+
+// Smallest of 0.1, 0.5, 1, 5, 10, ... (one and five times a power of ten)
+// that is at least minStep
+function gridStep(minStep) {
+  const pow = Math.pow(10, Math.floor(Math.log10(minStep)));
+  if (pow >= minStep) return pow;
+  return 5 * pow >= minStep ? 5 * pow : 10 * pow;
+}
+
+// Multiples of step within [min, max], computed from integers so 0.1 steps
+// don't accumulate rounding error
+function gridValues(min, max, step) {
+  const out = [];
+  for (let i = Math.ceil(min / step); i <= Math.floor(max / step); i++) out.push(i * step);
+  return out;
+}
+
+function formatGridValue(v, step) {
+  const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+  return String(parseFloat(v.toFixed(decimals)));
+}
+
+function hexToRgb(hex) {
+  const v = parseInt(hex.slice(1), 16);
+  return [(v >> 16) & 255, (v >> 8) & 255, v & 255];
+}
@@ -0,0 +1,160 @@
+// Replays: a log of every input that changes a run, stamped with the physics
+// step it happened before, so playing the log back from the same scene
+// reproduces the run exactly in the same browser (see physics.js for why
+// another browser's engine can drift).
+//
+// A replay file is JSON:
+// {
+//   "replay": 1,                     // format version
+//   "scene": "#scene=...",           // the board when the run started (share.js)
+//   "steps": 812,                    // how long the run was recorded for
+//   "events": [[0, "s", "y = x", null], [95, "l", 20], ...]
+// }
+// Each event is [step, kind, ...args]:
+//   "s" src ref     equation submitted (ref: curve it replaced, or null)
+//   "r" ref         curve deleted
+//   "h" ref hidden  curve hidden (1) or shown (0)
+//   "u" ref surface curve's surface changed (a key of physics.js SURFACES)
+//   "d" index x     dropper moved
+//   "l" count       burst launched
+//   "p" name value  slider moved
+//   "P" name        slider removed
+//   "F" name        function definition removed
+// Curves are referred to by their position in the run's list of curves (the
+// scene's curves in order, then each one added), since ids differ per game.
+import { encodeScene, decodeScene } from './share.js';
+import { LevelError } from './levels.js';
+
+const REPLAY_VERSION = 1;
+
+export class ReplayError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ReplayError';
+  }
+}
+
+// Game input ({ type, ... } from Game.noteInput) -> event, less its step number
+const EVENTS = {
+  submit: (e, ref) => ['s', e.src, e.id === null ? null : ref(e.id)],
+  remove: (e, ref) => ['r', ref(e.id)],
+  hide: (e, ref) => ['h', ref(e.id), e.hidden ? 1 : 0],
+  surface: (e, ref) => ['u', ref(e.id), e.surface],
+  dropper: (e) => ['d', e.index, e.x],
+  launch: (e) => ['l', e.count],
+  param: (e) => ['p', e.name, e.value],
+  removeParam: (e) => ['P', e.name],
+  removeFunction: (e) => ['F', e.name],
+};
+
+export class ReplayRecorder {
+  // Start recording a run from the game's board as it is now (no balls yet).
+  // Throws a LevelError when the board can't be saved as a scene.
+  constructor(game) {
+    this.scene = encodeScene(game.sceneState());
+    this.curveIds = sceneCurveIds(game);
+    this.startStep = game.tick;
+    this.steps = 0;
+    this.events = [];
+  }
+
+  record(game, input) {
+    const step = game.tick - this.startStep;
+    const event = [step, ...EVENTS[input.type](input, id => this.curveIds.indexOf(id))];
+    // Drags move a dropper or slider many times between steps; only the last counts
+    const last = this.events[this.events.length - 1];
+    const moves = event[1] === 'd' || event[1] === 'p';
+    if (moves && last && last[0] === step && last[1] === event[1] && last[2] === event[2]) this.events.pop();
+    this.events.push(event);
+    if (input.type === 'submit' && input.id === null && input.newId !== null) this.curveIds.push(input.newId);
+  }
+
+  // Called once per physics step of the run
+  stepped() {
+    this.steps++;
+  }
+
+  toJSON() {
+    return { replay: REPLAY_VERSION, scene: this.scene, steps: this.steps, events: this.events };
+  }
+}
+
+export class ReplayPlayer {
+  // replay: from parseReplay. Call start() to set up the game.
+  constructor(replay) {
+    this.replay = replay;
+    this.next = 0; // index of the next event to apply
+    this.applying = false; // true while feeding the replay's own inputs to the game
+    this.curveIds = [];
+    this.startStep = 0;
+  }
+
+  start(game) {
+    game.loadScene(this.replay.scene);
+    this.curveIds = sceneCurveIds(game);
+    this.startStep = game.tick;
+  }
+
+  get done() {
+    return this.next >= this.replay.events.length;
+  }
+
+  // Apply the inputs due before the game's next step
+  applyDue(game) {
+    const step = game.tick - this.startStep;
+    const { events } = this.replay;
+    this.applying = true;
+    try {
+      while (this.next < events.length && events[this.next][0] <= step) this.apply(game, events[this.next++]);
+    } finally {
+      this.applying = false;
+    }
+  }
+
+  apply(game, [, kind, a, b]) {
+    const id = (ref) => this.curveIds[ref] ?? -1;
+    switch (kind) {
+      case 's': {
+        const result = game.submitEquation(a, b === null ? null : id(b));
+        if (result.ok && b === null && result.id !== undefined) this.curveIds.push(result.id);
+        break;
+      }
+      case 'r': game.removeCurve(id(a)); break;
+      case 'h': game.setCurveHidden(id(a), b === 1); break;
+      case 'u': game.setCurveSurface(id(a), b); break;
+      case 'd': game.moveDropper(b, a); break;
+      case 'l': game.launchBurst(a); break;
+      case 'p': game.setParam(a, b); break;
+      case 'P': game.removeParam(a); break;
+      case 'F': game.removeFunction(a); break;
+    }
+  }
+}
+
+// Replay file text -> { scene, steps, events }, or a ReplayError saying why not
+export function parseReplay(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new ReplayError(`Not valid JSON: ${e.message}`);
+  }
+  if (!data || data.replay !== REPLAY_VERSION) throw new ReplayError('Not a replay file from this version of the game');
+  let scene;
+  try {
+    scene = decodeScene(String(data.scene));
+  } catch (e) {
+    if (!(e instanceof LevelError)) throw e;
+    throw new ReplayError(`The replay's level can't be loaded: ${e.message}`);
+  }
+  const events = data.events;
+  if (!Array.isArray(events) || !events.every(e => Array.isArray(e) && Number.isInteger(e[0]) && typeof e[1] === 'string')) {
+    throw new ReplayError('The replay has no valid list of events');
+  }
+  return { scene, steps: Number.isInteger(data.steps) ? data.steps : 0, events };
+}
+
+// Curve ids in the order a scene lists them: given curves, then the player's
+function sceneCurveIds(game) {
+  return [...game.curves.filter(c => c.locked), ...game.playerCurves()].map(c => c.id);
+}
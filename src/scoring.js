@@ -0,0 +1,55 @@
+// Level scoring: a cleared level starts at 1000 points and loses some for
+// each extra equation, long expressions, extra balls and time taken.
+// Medals (1-3) rate the score.
+import { tokenize, formatNumber } from './expression.js';
+
+const BASE_SCORE = 1000;
+const MIN_SCORE = 100; // clearing a level is always worth something
+
+// Each rule: what's free, what each unit over that costs, and the most it can cost
+const RULES = {
+  equations: { label: 'Equations', unit: '', free: 1, cost: 150, max: 450 },
+  symbols: { label: 'Expression size', unit: ' symbols', free: 8, cost: 8, max: 250 },
+  balls: { label: 'Balls launched', unit: '', free: 20, cost: 4, max: 200 },
+  seconds: { label: 'Time', unit: ' s', free: 20, cost: 3, max: 200 },
+};
+
+const MEDALS = [850, 600]; // lowest scores for 3 and 2 medals
+
+// Numbers, names and operators in an equation; brackets and commas don't count,
+// so "y = 0.5x + 1" has 6 symbols
+export function expressionSize(src) {
+  const tokens = tokenize(src, () => true);
+  return tokens.filter(t => t.type !== 'eof' && !'(){},'.includes(t.value)).length;
+}
+
+// Symbols in the curves plus the definitions and slider declarations they
+// read (through `scope`, an equations.js Scope), so moving part of a curve
+// into "f(x) = ..." or a slider doesn't make it free. A slider counts as
+// "a = 0.5"; its range is left out.
+export function workSize(curves, scope) {
+  let size = curves.reduce((sum, c) => sum + expressionSize(c.src), 0);
+  for (const name of new Set(curves.flatMap(c => [...(c.deps ?? [])]))) {
+    const fn = scope.functions.get(name);
+    const param = scope.params.get(name);
+    if (fn) size += expressionSize(fn.src);
+    else if (param) size += expressionSize(`${name} = ${formatNumber(param.value)}`);
+  }
+  return size;
+}
+
+// stats: { equations, symbols, balls, seconds }
+// Returns { score, medals, lines } where lines break down what each stat cost.
+export function scoreLevel(stats) {
+  let score = BASE_SCORE;
+  const lines = [];
+  for (const [key, rule] of Object.entries(RULES)) {
+    const value = stats[key];
+    const penalty = Math.min(rule.max, Math.max(0, Math.ceil(value - rule.free)) * rule.cost);
+    score -= penalty;
+    lines.push({ label: rule.label, value: `${Math.round(value)}${rule.unit}`, points: penalty ? -penalty : 0 });
+  }
+  score = Math.max(MIN_SCORE, score);
+  const medals = score >= MEDALS[0] ? 3 : score >= MEDALS[1] ? 2 : 1;
+  return { score, medals, lines };
+}
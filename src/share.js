@@ -0,0 +1,103 @@
+// Shareable links: a scene (a level plus the player's curves, sliders and
+// definitions, from Game.sceneState) packed into a URL fragment,
+// #scene=<base64url JSON>, so a solution can be sent as a link.
+//
+// The JSON uses short keys to keep links short:
+// {
+//   v: 1,                                   // format version
+//   n: name, h: hint,                       // h only when the level has one
+//   b: [xMin, xMax, yMin, yMax],
+//   d: [[x, y, movable]],                   // droppers, movable as 0/1
+//   s: [[x, y]],                            // stars
+//   g: ["y = ..."],                         // given curves
+//   m: maxEquations, a: allowedFunctions,   // null for no limit
+//   p: [[name, value, min, max, step]],     // sliders
+//   f: ["f(x) = ..."],                      // definitions
+//   c: [["y = ...", hidden, surface]],      // the player's curves, hidden as 0/1,
+//                                           // surface only when not "normal"
+// }
+import { normalizeLevel, LevelError } from './levels.js';
+import { isParamName } from './equations.js';
+
+const PREFIX = '#scene=';
+const SCENE_VERSION = 1;
+
+// Scene -> URL fragment (with the leading #). Throws a LevelError when the
+// level isn't playable yet (e.g. an editor draft without stars).
+export function encodeScene({ level: draft, params, functions, curves }) {
+  const level = normalizeLevel(draft);
+  const { xMin, xMax, yMin, yMax } = level.bounds;
+  const packed = {
+    v: SCENE_VERSION,
+    n: level.name,
+    // Positions keep full precision so balls take exactly the same paths
+    b: [xMin, xMax, yMin, yMax],
+    d: level.droppers.map(d => [d.x, d.y, d.movable ? 1 : 0]),
+    s: level.stars.map(s => [s.x, s.y]),
+    g: level.givenCurves,
+    m: level.maxEquations,
+    a: level.allowedFunctions,
+    p: params.map(p => [p.name, p.value, p.min, p.max, p.step]),
+    f: functions,
+    c: curves.map(c => [c.src, c.hidden ? 1 : 0, ...(c.surface && c.surface !== 'normal' ? [c.surface] : [])]),
+  };
+  if (level.hint) packed.h = level.hint;
+  return PREFIX + toBase64Url(JSON.stringify(packed));
+}
+
+// True when a URL fragment holds a scene
+export function hasScene(hash) {
+  return hash.startsWith(PREFIX);
+}
+
+// URL fragment -> scene { level, params, functions, curves }. Throws a
+// LevelError when the link is damaged or its level isn't playable.
+export function decodeScene(hash) {
+  let packed;
+  try {
+    packed = JSON.parse(fromBase64Url(hash.slice(PREFIX.length)));
+  } catch {
+    throw new LevelError('This link is damaged; it may have been cut short');
+  }
+  if (!packed || packed.v !== SCENE_VERSION) throw new LevelError('This link is from a different version of the game');
+  const isList = (v) => Array.isArray(v) && v.every(Array.isArray);
+  if (!Array.isArray(packed.b) || !isList(packed.d) || !isList(packed.s) ||
+      !isList(packed.p ?? []) || !isList(packed.c ?? [])) {
+    throw new LevelError('This link is damaged; it may have been cut short');
+  }
+  const [xMin, xMax, yMin, yMax] = packed.b;
+  const level = normalizeLevel({
+    name: packed.n,
+    bounds: { xMin, xMax, yMin, yMax },
+    droppers: packed.d.map(([x, y, movable]) => ({ x, y, movable: movable === 1 })),
+    stars: packed.s.map(([x, y]) => ({ x, y })),
+    givenCurves: packed.g,
+    maxEquations: packed.m,
+    allowedFunctions: packed.a,
+    hint: packed.h,
+  });
+  return {
+    level,
+    params: (packed.p ?? [])
+      .filter(p => isParamName(p[0]) && p.slice(1).every(Number.isFinite))
+      .map(([name, value, min, max, step]) => ({ name, value, min, max, step })),
+    functions: (packed.f ?? []).filter(src => typeof src === 'string'),
+    curves: (packed.c ?? [])
+      .filter(c => typeof c[0] === 'string')
+      .map(([src, hidden, surface = 'normal']) => ({ src, hidden: hidden === 1, surface })),
+  };
+}
+
+// UTF-8 text <-> base64url (the URL-safe alphabet, without padding)
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  for (const b of bytes) binary += String.fromCharCode(b);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+  return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+}
@@ -0,0 +1,137 @@
+// Headless solver for star layouts: fits simple curves (lines, parabolas,
+// sine waves) through the stars and runs the real physics on each to find
+// one that collects every star
+import { parseEquationToFunction, sampleEquation } from './equations.js';
+import { Ball, stepBalls, checkStarCollection, STEP, BALL_RADIUS, STAR_RADIUS } from './physics.js';
+import { SegmentGrid } from './spatial.js';
+
+const OFFSETS = [0, -0.2, 0.2]; // vertical nudges tried around each fit
+const SINE_RATES = [0.3, 0.4, 0.5, 0.6, 0.8, 1, 1.2, 1.5, 2]; // sin(kx) frequencies tried
+const MAX_TRIES = 30; // candidates simulated before giving up
+const CLOSE_FIT = 0.05; // mean squared miss small enough to pass near every star
+export const SIM_STEPS = 6 / STEP; // 6 seconds
+
+// Look for one equation that solves the layout { stars, droppers, bounds,
+// gravity, curves? } (droppers as { x, y }; curves are already on the board,
+// like a level's given curves). Returns the equation text, which can be shown
+// as a hint, or null when no candidate collects every star.
+export function solveLayout(layout) {
+  if (!layout.stars.length) return null;
+  const tried = new Set();
+  for (const equation of candidates(layout.stars)) {
+    if (tried.has(equation)) continue;
+    tried.add(equation);
+    if (tried.size > MAX_TRIES) break;
+    if (solves(equation, layout)) return equation;
+  }
+  return null;
+}
+
+// Whether adding `equation` to the layout's curves collects every star
+export function solves(equation, layout) {
+  const parsed = parseEquationToFunction(equation);
+  const points = sampleEquation(parsed, layout.bounds);
+  const curve = { ...parsed, points, grid: new SegmentGrid(points) };
+  return collectsAll([...(layout.curves ?? []), curve], layout);
+}
+
+// Drop one ball from each dropper onto `curves` and report whether every star
+// gets collected. Balls from the same dropper all take the same path, so one
+// each stands in for a whole burst.
+export function collectsAll(curves, { stars, droppers, bounds, gravity }) {
+  const targets = stars.map(s => ({ x: s.x, y: s.y, collected: false }));
+  let balls = droppers.map(d => new Ball(d.x, d.y, BALL_RADIUS));
+  for (let i = 0; i < SIM_STEPS && balls.length; i++) {
+    balls = stepBalls(balls, gravity, bounds, curves);
+    if (checkStarCollection(balls, targets, STAR_RADIUS).count === targets.length) return true;
+  }
+  return false;
+}
+
+// Candidate equations: close fits first, simplest of those first, then the
+// rest by how well they fit. Balls roll with their centre a radius above the
+// curve, so the fits go through points just below the stars.
+function candidates(stars) {
+  const pts = stars.map(s => ({ x: s.x, y: s.y - BALL_RADIUS }));
+  const fits = [];
+  const line = leastSquares(pts, [() => 1, x => x]);
+  if (line) fits.push({ ...line, format: ([b, m], d) => formatEquation([[m, 'x'], [b + d, '']]) });
+  if (pts.length >= 3) {
+    const parabola = leastSquares(pts, [() => 1, x => x, x => x * x]);
+    if (parabola) {
+      fits.push({ ...parabola, format: ([c, b, a], d) => formatEquation([[a, 'x^2'], [b, 'x'], [c + d, '']]) });
+    }
+  }
+  if (pts.length >= 4) {
+    for (const k of SINE_RATES) {
+      const wave = leastSquares(pts, [() => 1, x => Math.sin(k * x), x => Math.cos(k * x)]);
+      if (wave) {
+        fits.push({ ...wave, format: ([c, a, b], d) => formatEquation([[a, `sin(${k}x)`], [b, `cos(${k}x)`], [c + d, '']]) });
+      }
+      // the same wave on a slope
+      const slope = leastSquares(pts, [() => 1, x => x, x => Math.sin(k * x), x => Math.cos(k * x)]);
+      if (slope) {
+        fits.push({ ...slope, format: ([c, m, a, b], d) => formatEquation([[a, `sin(${k}x)`], [b, `cos(${k}x)`], [m, 'x'], [c + d, '']]) });
+      }
+    }
+  }
+  const rank = (fit) => (fit.error < CLOSE_FIT ? fit.coeffs.length : 10 + fit.error);
+  fits.sort((p, q) => rank(p) - rank(q));
+  return fits.flatMap(fit => OFFSETS.map(d => fit.format(fit.coeffs, d)));
+}
+
+// Least-squares fit of y = sum(coeffs[i] * basis[i](x)) through pts.
+// Returns { coeffs, error } with the mean squared residual, or null if the
+// points can't pin the coefficients down.
+function leastSquares(pts, basis) {
+  const n = basis.length;
+  if (pts.length < n) return null;
+  const A = Array.from({ length: n }, () => new Array(n).fill(0));
+  const rhs = new Array(n).fill(0);
+  for (const p of pts) {
+    const row = basis.map(f => f(p.x));
+    for (let i = 0; i < n; i++) {
+      rhs[i] += row[i] * p.y;
+      for (let j = 0; j < n; j++) A[i][j] += row[i] * row[j];
+    }
+  }
+  const coeffs = solveLinear(A, rhs);
+  if (!coeffs) return null;
+  let error = 0;
+  for (const p of pts) {
+    const fit = basis.reduce((sum, f, i) => sum + coeffs[i] * f(p.x), 0);
+    error += (fit - p.y) ** 2;
+  }
+  return { coeffs, error: error / pts.length };
+}
+
+// Gaussian elimination with partial pivoting; null for a singular system
+function solveLinear(A, b) {
+  const n = b.length;
+  const m = A.map((row, i) => [...row, b[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) if (Math.abs(m[r][col]) > Math.abs(m[pivot][col])) pivot = r;
+    if (Math.abs(m[pivot][col]) < 1e-9) return null;
+    [m[col], m[pivot]] = [m[pivot], m[col]];
+    for (let r = 0; r < n; r++) {
+      if (r === col) continue;
+      const f = m[r][col] / m[col][col];
+      for (let c = col; c <= n; c++) m[r][c] -= f * m[col][c];
+    }
+  }
+  return m.map((row, i) => row[n] / row[i]);
+}
+
+// "y = ..." from [coefficient, symbol] terms, with coefficients rounded the
+// way a player would type them and terms that round to 0 left out
+export function formatEquation(terms) {
+  let text = '';
+  for (const [coeff, symbol] of terms) {
+    const c = Math.round(coeff * 100) / 100;
+    if (c === 0) continue;
+    text += text ? (c < 0 ? ' - ' : ' + ') : (c < 0 ? '-' : '');
+    text += Math.abs(c) === 1 && symbol ? symbol : `${Math.abs(c)}${symbol}`;
+  }
+  return `y = ${text || '0'}`;
+}
@@ -0,0 +1,78 @@
+// Spatial index for a curve's segments: a uniform grid over the sampled
+// points, so collision tests look only at the segments near a ball instead of
+// every segment of every curve. Game builds one per curve whenever it samples
+// the curve's points (adding, editing, moving a slider, resizing the level).
+import { clamp } from './utils.js';
+
+const CELL_SIZE = 0.5; // world units; a few ball widths
+const MAX_CELLS = 256; // per side, for curves sampled over a huge region
+
+export class SegmentGrid {
+  // points: a curve's sampled points, with nulls at gaps; segment i runs
+  // from points[i] to points[i + 1]
+  constructor(points) {
+    let xMin = Infinity, xMax = -Infinity, yMin = Infinity, yMax = -Infinity;
+    for (const p of points) {
+      if (!p) continue;
+      if (p.x < xMin) xMin = p.x;
+      if (p.x > xMax) xMax = p.x;
+      if (p.y < yMin) yMin = p.y;
+      if (p.y > yMax) yMax = p.y;
+    }
+    const size = Math.max(CELL_SIZE, (xMax - xMin) / MAX_CELLS, (yMax - yMin) / MAX_CELLS);
+    this.size = size;
+    this.bounds = { xMin, xMax, yMin, yMax }; // of the points
+    this.cols = xMin <= xMax ? Math.floor((xMax - xMin) / size) + 1 : 0;
+    this.rows = yMin <= yMax ? Math.floor((yMax - yMin) / size) + 1 : 0;
+    this.cells = new Array(this.cols * this.rows).fill(null); // segment indices per cell
+    this.seen = new Uint32Array(Math.max(0, points.length - 1)); // query stamp per segment
+    this.stamp = 0;
+    this.found = [];
+    for (let i = 0; i < points.length - 1; i++) {
+      const a = points[i];
+      const c = points[i + 1];
+      if (!a || !c) continue;
+      const c1 = this.col(Math.max(a.x, c.x));
+      const r1 = this.row(Math.max(a.y, c.y));
+      for (let row = this.row(Math.min(a.y, c.y)); row <= r1; row++) {
+        for (let col = this.col(Math.min(a.x, c.x)); col <= c1; col++) {
+          (this.cells[row * this.cols + col] ??= []).push(i);
+        }
+      }
+    }
+  }
+
+  // Indices of the segments whose cells meet the box, each once and in
+  // order, so a search gives the same answer as a scan of every segment.
+  // The array is reused by the next query.
+  query(xMin, xMax, yMin, yMax) {
+    const found = this.found;
+    found.length = 0;
+    const b = this.bounds;
+    if (xMax < b.xMin || xMin > b.xMax || yMax < b.yMin || yMin > b.yMax) return found;
+    if (++this.stamp === 0xffffffff) { this.seen.fill(0); this.stamp = 1; }
+    const c1 = this.col(xMax);
+    const r1 = this.row(yMax);
+    for (let row = this.row(yMin); row <= r1; row++) {
+      for (let col = this.col(xMin); col <= c1; col++) {
+        const cell = this.cells[row * this.cols + col];
+        if (!cell) continue;
+        for (const i of cell) {
+          if (this.seen[i] === this.stamp) continue;
+          this.seen[i] = this.stamp;
+          found.push(i);
+        }
+      }
+    }
+    return found.sort((p, q) => p - q);
+  }
+
+  // Column (or row) of the cell holding x (or y), clamped to the grid
+  col(x) {
+    return clamp(Math.floor((x - this.bounds.xMin) / this.size), 0, this.cols - 1);
+  }
+
+  row(y) {
+    return clamp(Math.floor((y - this.bounds.yMin) / this.size), 0, this.rows - 1);
+  }
+}
@@ -0,0 +1,90 @@
+// Saved progress in localStorage. Every save records the format version it
+// was written with; loading runs the migrations from that version up to
+// SAVE_VERSION, so saves from older builds keep loading after the format
+// changes.
+//
+// A save is { version, savedAt, state } where state comes from
+// Game.saveState():
+// {
+//   mode, level, seed, starCount,           // which level is on the board
+//   campaignIndex,                           // campaign mode only
+//   droppers: [{ x }],
+//   params: [{ name, value, min, max, step }],
+//   functions: ["f(x) = x^2"],
+//   curves: [{ src, hidden, surface }],      // the player's curves
+//   bestScores: { [levelKey]: { score, medals } },
+// }
+
+import { isParamName } from './equations.js';
+
+const STORAGE_KEY = 'math-marbles.save';
+export const SAVE_VERSION = 1;
+
+// MIGRATIONS[n] turns a version n save into a version n + 1 save. Add one
+// whenever the state format changes, then bump SAVE_VERSION.
+const MIGRATIONS = {};
+
+const MODES = ['beginner', 'pro', 'campaign'];
+
+// localStorage can be missing or throw (private windows, blocked storage)
+function storageOrNull() {
+  try {
+    return globalThis.localStorage ?? null;
+  } catch {
+    return null;
+  }
+}
+
+export function saveProgress(state, storage = storageOrNull()) {
+  if (!storage) return false;
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify({ version: SAVE_VERSION, savedAt: Date.now(), state }));
+    return true;
+  } catch {
+    return false; // full or blocked; the game carries on unsaved
+  }
+}
+
+// The stored save brought up to date, or null if there is none or it can't
+// be used (corrupt, or written by a newer build)
+export function loadProgress(storage = storageOrNull()) {
+  if (!storage) return null;
+  let save;
+  try {
+    save = JSON.parse(storage.getItem(STORAGE_KEY));
+  } catch {
+    return null;
+  }
+  if (!save || !Number.isInteger(save.version) || save.version > SAVE_VERSION) return null;
+  for (let v = save.version; v < SAVE_VERSION; v++) {
+    if (!MIGRATIONS[v]) return null;
+    save = { ...MIGRATIONS[v](save), version: v + 1 };
+  }
+  if (!isValidState(save.state)) return null;
+  // sliders only under names a player could have typed
+  return { ...save, state: { ...save.state, params: save.state.params.filter(p => isParamName(p.name)) } };
+}
+
+export function clearProgress(storage = storageOrNull()) {
+  try {
+    storage?.removeItem(STORAGE_KEY);
+  } catch {
+    // nothing to clear
+  }
+}
+
+function isValidState(s) {
+  const isList = (v, item) => Array.isArray(v) && v.every(item);
+  const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+  return Boolean(s) &&
+    MODES.includes(s.mode) &&
+    Number.isInteger(s.level) && s.level >= 1 &&
+    Number.isInteger(s.seed) &&
+    Number.isInteger(s.starCount) &&
+    (s.campaignIndex === null || Number.isInteger(s.campaignIndex)) &&
+    isList(s.droppers, d => isNumber(d?.x)) &&
+    isList(s.params, p => typeof p?.name === 'string' && ['value', 'min', 'max', 'step'].every(k => isNumber(p[k]))) &&
+    isList(s.functions, f => typeof f === 'string') &&
+    isList(s.curves, c => typeof c?.src === 'string') &&
+    typeof s.bestScores === 'object' && s.bestScores !== null;
+}
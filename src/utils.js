@@ -1,5 +1,8 @@
 // Utility helpers: coordinate transforms, RNG, clamping
 
+const MIN_SPAN = 0.05; // narrowest visible width when zooming in
+const MAX_SPAN = 1e5; // widest visible width when zooming out
+
 export class World {
   // Defines the world-coordinate bounds and pixel mapping
   constructor({ xMin = -10, xMax = 10, yMin = -7.5, yMax = 7.5, width = 900, height = 600 } = {}) {
@@ -19,9 +22,49 @@ export class World {
     const y = this.yMin + ((this.height - py) / this.height) * (this.yMax - this.yMin);
     return { x, y };
   }
+  // Show at least the given bounds, widening one axis so units stay square
+  fit({ xMin, xMax, yMin, yMax }) {
+    const cx = (xMin + xMax) / 2, cy = (yMin + yMax) / 2;
+    const unitsPerPx = Math.max((xMax - xMin) / this.width, (yMax - yMin) / this.height);
+    const xHalf = unitsPerPx * this.width / 2, yHalf = unitsPerPx * this.height / 2;
+    this.xMin = cx - xHalf; this.xMax = cx + xHalf;
+    this.yMin = cy - yHalf; this.yMax = cy + yHalf;
+  }
+  // Zoom by `factor` (> 1 zooms in) keeping the world point under pixel (px, py) fixed
+  zoomAt(px, py, factor) {
+    const span = this.xMax - this.xMin;
+    const f = clamp(factor, span / MAX_SPAN, span / MIN_SPAN);
+    const p = this.toWorld(px, py);
+    this.xMin = p.x - (p.x - this.xMin) / f; this.xMax = p.x + (this.xMax - p.x) / f;
+    this.yMin = p.y - (p.y - this.yMin) / f; this.yMax = p.y + (this.yMax - p.y) / f;
+  }
+  // Move the view so the content follows a drag of (dpx, dpy) pixels
+  panBy(dpx, dpy) {
+    const dx = dpx / this.width * (this.xMax - this.xMin);
+    const dy = dpy / this.height * (this.yMax - this.yMin);
+    this.xMin -= dx; this.xMax -= dx;
+    this.yMin += dy; this.yMax += dy;
+  }
+}
+
+// Pass a generator from createRng for reproducible values
+export const randRange = (min, max, rng = Math.random) => rng() * (max - min) + min;
+
+// Seeded random numbers (mulberry32): the returned function yields floats in
+// [0, 1) like Math.random, and the same seed always gives the same sequence
+export function createRng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
 }
 
-export const randRange = (min, max) => Math.random() * (max - min) + min;
+// A fresh four-digit seed, short enough to read out to a class
+export const randomSeed = () => 1000 + Math.floor(Math.random() * 9000);
 export const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
 
 export function closestPointOnSegment(px, py, ax, ay, bx, by) {
@@ -43,7 +86,7 @@ export function reflectVelocityAcrossNormal(vx, vy, nx, ny) {
 }
 
 export function normalize(x, y) {
-  const m = Math.hypot(x, y);
+  const m = Math.sqrt(x * x + y * y); // not Math.hypot, see physics.js
   if (m === 0) return { x: 0, y: 0 };
   return { x: x / m, y: y / m };
 }